@@ -6,11 +6,16 @@ class FastifyMongoSanitizeError extends Error {
    * Creates a new FastifyMongoSanitizeError
    * @param {string} message - Error message
    * @param {string} [type='generic'] - Error type
+   * @param {Object} [details={}] - Additional error details
+   * @param {number} [details.statusCode] - HTTP status code used by Fastify's error handler
+   * @param {Object[]} [details.violations] - Violations that caused the error
    */
-  constructor(message, type = 'generic') {
+  constructor(message, type = 'generic', details = {}) {
     super(message);
     this.name = 'FastifyMongoSanitizeError';
     this.type = type;
+    if (details.statusCode) this.statusCode = details.statusCode;
+    if (details.violations) this.violations = details.violations;
     Error.captureStackTrace(this, this.constructor);
   }
 }
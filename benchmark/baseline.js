@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * Snapshot of the original recursive sanitizer, before the explicit-stack traversal and the compiled matcher, without
+ * its logging. Used as the reference of the benchmark and of the equivalence test; not part of the package.
+ */
+
+const PATTERNS = Object.freeze([
+  /[\$]/g,
+  /\./g,
+  /[\\\/{}.(*+?|[\]^)]/g,
+  /[\u0000-\u001F\u007F-\u009F]/g,
+  /\{\s*\$|\$?\{(.|\r?\n)*\}/g,
+]);
+
+const DEFAULT_OPTIONS = Object.freeze({
+  replaceWith: '',
+  removeMatches: false,
+  recursive: true,
+  removeEmpty: false,
+  patterns: PATTERNS,
+  allowedKeys: null,
+  deniedKeys: null,
+  stringOptions: { trim: false, lowercase: false, maxLength: null },
+  arrayOptions: { filterNull: false, distinct: false },
+});
+
+const isEmail = (val) => /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/i.test(val);
+const isString = (value) => typeof value === 'string';
+const isPlainObject = (obj) => !!obj && Object.prototype.toString.call(obj) === '[object Object]';
+const isArray = (value) => Array.isArray(value);
+const isPrimitive = (value) => value === null || ['number', 'boolean'].includes(typeof value);
+const isDate = (value) => value instanceof Date;
+
+/**
+ * Sanitizes a string value according to provided options
+ * @param {string} str - String to sanitize
+ * @param {Object} options - Sanitization options
+ * @param {boolean} isValue - Whether string is a value or key
+ * @returns {string} Sanitized string
+ */
+const sanitizeString = (str, options, isValue = false) => {
+  if (!isString(str) || isEmail(str)) return str;
+
+  const { replaceWith, patterns, stringOptions } = options;
+  let result = patterns.reduce((acc, pattern) => {
+    acc.match(pattern);
+    return acc.replace(pattern, replaceWith);
+  }, str);
+
+  if (stringOptions.trim) result = result.trim();
+  if (stringOptions.lowercase) result = result.toLowerCase();
+  if (stringOptions.maxLength && isValue) result = result.slice(0, stringOptions.maxLength);
+  return result;
+};
+
+/**
+ * Sanitizes an array according to provided options
+ * @param {Array} arr - Array to sanitize
+ * @param {Object} options - Sanitization options
+ * @returns {Array} Sanitized array
+ */
+const sanitizeArray = (arr, options) => {
+  const { arrayOptions } = options;
+  let result = arr.map((item) =>
+    !options.recursive && (isPlainObject(item) || isArray(item)) ? item : sanitizeValue(item, options)
+  );
+  if (arrayOptions.filterNull) result = result.filter(Boolean);
+  if (arrayOptions.distinct) result = [...new Set(result)];
+  return result;
+};
+
+/**
+ * Sanitizes an object according to provided options
+ * @param {Object} obj - Object to sanitize
+ * @param {Object} options - Sanitization options
+ * @returns {Object} Sanitized object
+ */
+const sanitizeObject = (obj, options) => {
+  const { removeEmpty, allowedKeys, deniedKeys, removeMatches, patterns } = options;
+
+  return Object.entries(obj).reduce((acc, [key, value]) => {
+    if (allowedKeys && allowedKeys.length && !allowedKeys.includes(key)) return acc;
+    if (deniedKeys && deniedKeys.length && deniedKeys.includes(key)) return acc;
+
+    const sanitizedKey = sanitizeString(key, options, false);
+
+    if (isString(value) && isEmail(value)) {
+      acc[sanitizedKey] = value;
+      return acc;
+    }
+    if (removeMatches && patterns.some((pattern) => pattern.test(key))) return acc;
+    if (removeEmpty && !sanitizedKey) return acc;
+    if (removeMatches && isString(value) && patterns.some((pattern) => pattern.test(value))) return acc;
+
+    const sanitizedValue =
+      !options.recursive && (isPlainObject(value) || isArray(value)) ? value : sanitizeValue(value, options, true);
+
+    if (removeEmpty && !sanitizedValue) return acc;
+
+    acc[sanitizedKey] = sanitizedValue;
+    return acc;
+  }, {});
+};
+
+/**
+ * Sanitizes a value according to its type and provided options
+ * @param {*} value - Value to sanitize
+ * @param {Object} options - Sanitization options
+ * @param {boolean} [isValue=false] - Whether value is a value or key
+ * @returns {*} Sanitized value
+ */
+const sanitizeValue = (value, options, isValue) => {
+  if (value == null || isPrimitive(value) || isDate(value)) return value;
+  if (isString(value)) return sanitizeString(value, options, isValue);
+  if (isArray(value)) return sanitizeArray(value, options);
+  if (isPlainObject(value)) return sanitizeObject(value, options);
+  return value;
+};
+
+/**
+ * Creates a sanitizer with the original recursive implementation
+ * @param {Object} [options={}] - Sanitization options, merged over the original defaults
+ * @returns {Function} Sanitizer of a value
+ */
+const createBaselineSanitizer = (options = {}) => {
+  const resolved = { ...DEFAULT_OPTIONS, ...options };
+  return (value) => sanitizeValue(value, resolved);
+};
+
+module.exports = { createBaselineSanitizer };
@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * Throughput benchmark of the sanitizer on realistic payloads, and of the current implementation against the original
+ * recursive one.
+ * Run with `yarn benchmark` or `node benchmark/index.js [durationMs]`.
+ */
+
+const { createSanitizer } = require('..');
+const { createBaselineSanitizer } = require('./baseline');
+const { compilePatterns } = require('../helpers');
+const { PATTERNS } = require('../constants');
+
+const DURATION = Number(process.argv[2]) || 500;
+
+const PAYLOADS = {
+  login: { username: 'john.doe', password: 'correct horse battery staple', remember: true },
+  signup: {
+    email: 'jane.doe@example.com',
+    name: 'Jane Doe',
+    address: { street: '221B Baker Street', city: 'London', zip: 'NW1 6XE', country: 'GB' },
+    preferences: { newsletter: false, language: 'en-GB', topics: ['sports', 'music', 'travel'] },
+  },
+  search: {
+    q: 'wireless headphones',
+    filter: { price: { $gte: 50, $lte: 200 }, brand: { $in: ['acme', 'globex'] } },
+    sort: 'price',
+    page: 3,
+  },
+  order: {
+    customerId: '64b7f1c2e4b0a5d3f8c9e123',
+    items: Array.from({ length: 50 }, (_, i) => ({
+      sku: `SKU-${1000 + i}`,
+      name: `Product ${i}`,
+      qty: (i % 5) + 1,
+      price: 9.99 + i,
+      note: i % 10 === 0 ? 'Gift wrap, please (no price tag)' : '',
+    })),
+  },
+  comment: {
+    postId: 42,
+    author: 'visitor',
+    body: 'Great article! Really enjoyed the part about indexes. '.repeat(40),
+  },
+  attack: {
+    username: { $ne: null },
+    password: { $regex: '.*' },
+    $where: 'function() { return true; }',
+    'profile.role': 'admin',
+    search: '${process.env.SECRET}',
+  },
+};
+
+const CONFIGURATIONS = {
+  default: {},
+  removeMatches: { removeMatches: true },
+  operators: { strategy: 'operators' },
+};
+
+/**
+ * Calls fn repeatedly for the configured duration
+ * @param {Function} fn - Function to benchmark
+ * @returns {number} Operations per second
+ */
+const measure = (fn) => {
+  for (let i = 0; i < 100; i++) fn();
+
+  let operations = 0;
+  const start = process.hrtime.bigint();
+  const end = start + BigInt(DURATION) * 1_000_000n;
+  let now = start;
+  while (now < end) {
+    for (let i = 0; i < 100; i++) fn();
+    operations += 100;
+    now = process.hrtime.bigint();
+  }
+  return (operations * 1e9) / Number(now - start);
+};
+
+/**
+ * Collects every key and string value of a payload
+ * @param {*} value - Payload
+ * @param {string[]} [strings=[]] - Collected strings
+ * @returns {string[]} Collected strings
+ */
+const collectStrings = (value, strings = []) => {
+  if (typeof value === 'string') strings.push(value);
+  else if (Array.isArray(value)) value.forEach((item) => collectStrings(item, strings));
+  else if (value && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      strings.push(key);
+      collectStrings(item, strings);
+    }
+  }
+  return strings;
+};
+
+/**
+ * Reference implementation running every pattern on its own, with a match and a replace per pattern
+ * @param {string} str - String to sanitize
+ * @returns {string} Sanitized string
+ */
+const perPattern = (str) =>
+  PATTERNS.reduce((acc, pattern) => {
+    acc.match(pattern);
+    return acc.replace(pattern, '');
+  }, str);
+
+const format = (opsPerSecond) => Math.round(opsPerSecond).toLocaleString('en-US').padStart(12);
+
+console.log(`Sanitizer throughput (ops/s, ${DURATION} ms per case)\n`);
+console.log(
+  `${'payload'.padEnd(10)}${Object.keys(CONFIGURATIONS)
+    .map((name) => name.padStart(14))
+    .join('')}`
+);
+for (const [name, payload] of Object.entries(PAYLOADS)) {
+  const results = Object.values(CONFIGURATIONS).map((options) => {
+    const sanitize = createSanitizer(options);
+    return format(measure(() => sanitize(payload)));
+  });
+  console.log(`${name.padEnd(10)}${results.map((result) => result.padStart(14)).join('')}`);
+}
+
+console.log(`\nString pattern engine (ops/s, all keys and strings of a payload per op)\n`);
+console.log(`${'payload'.padEnd(10)}${'per-pattern'.padStart(14)}${'compiled'.padStart(14)}`);
+const matcher = compilePatterns(PATTERNS);
+for (const [name, payload] of Object.entries(PAYLOADS)) {
+  const strings = collectStrings(payload);
+  const reference = measure(() => strings.forEach(perPattern));
+  const compiled = measure(() => strings.forEach((str) => matcher.replace(str, '')));
+  console.log(`${name.padEnd(10)}${format(reference).padStart(14)}${format(compiled).padStart(14)}`);
+}
+
+console.log(`\nFull sanitizer against the original recursive implementation (ops/s, default options)\n`);
+console.log(`${'payload'.padEnd(10)}${'baseline'.padStart(14)}${'current'.padStart(14)}`);
+const baseline = createBaselineSanitizer();
+const current = createSanitizer();
+for (const [name, payload] of Object.entries(PAYLOADS)) {
+  const reference = measure(() => baseline(payload));
+  const result = measure(() => current(payload));
+  console.log(`${name.padEnd(10)}${format(reference).padStart(14)}${format(result).padStart(14)}`);
+}
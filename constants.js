@@ -1,15 +1,208 @@
 /**
- * Collection of regular expression patterns used for sanitization
+ * Constructs of JavaScript meant to run on the server through $where, $function, $accumulator or mapReduce,
+ * looked for by the serverSideJs option in string values and by the serverSideJs pattern preset
+ * @constant {Object<string, RegExp>}
+ */
+const SERVER_SIDE_JS_CONSTRUCTS = Object.freeze({
+  function: /\bfunction\b\s*[\w$]*\s*\([^)]*\)\s*\{/, // Finds function bodies such as `function () { ... }`.
+  arrowFunction: /(?:\([^()]*\)|[\w$]+)\s*=>/, // Finds arrow functions such as `(a, b) => ...` or `x => ...`.
+  thisReference: /\bthis\s*(?:\.\s*[a-z_$]|\.[A-Z][\w$]*\s*(?:[.(\[=!<>)&|;+\-*/%?]|$)|\[)/, // Finds document references such as `this.password`, `this.Password.match(...)` or `this['a']`, but not a sentence ending with 'this.'.
+  sleep: /\bsleep\s*\(/, // Finds `sleep(...)` calls used for timing attacks.
+  infiniteLoop: /\bwhile\s*\(\s*(?:true|1)\s*\)|\bfor\s*\(\s*;\s*;\s*\)/, // Finds `while (true)`, `while (1)` and `for (;;)` loops.
+  emit: /\bemit\s*\(/, // Finds mapReduce `emit(...)` calls.
+  eval: /\b(?:eval|Function)\s*\(|\bnew\s+Function\b/, // Finds `eval(...)` and the Function constructor.
+});
+
+/**
+ * Built-in named patterns, usable by name in the patterns option
+ * Each preset has a name, a regex, the strings it applies to ('key', 'value' or 'both') and the action taken on a
+ * match ('strip' replaces the match, 'remove' drops the entry, 'reject' aborts the sanitization).
+ * @constant {Object<string, {name: string, regex: RegExp, appliesTo: string, action: string}>}
+ */
+const PATTERN_PRESETS = Object.freeze({
+  mongoOperators: Object.freeze({
+    name: 'mongoOperators',
+    regex: /[\$]/g, // Finds all '$' (dollar) characters in the text.
+    appliesTo: 'both',
+    action: 'strip',
+  }),
+  dotNotation: Object.freeze({
+    name: 'dotNotation',
+    regex: /\./g, // Finds all '.' (dot) characters in the text.
+    appliesTo: 'both',
+    action: 'strip',
+  }),
+  regexMeta: Object.freeze({
+    name: 'regexMeta',
+    regex: /[\\\/{}.(*+?|[\]^)]/g, // Finds special characters (\, /, {, }, (, ., *, +, ?, |, [, ], ^, )) that need to be escaped.
+    appliesTo: 'both',
+    action: 'strip',
+  }),
+  controlChars: Object.freeze({
+    name: 'controlChars',
+    regex: /[\u0000-\u001F\u007F-\u009F]/g, // Finds ASCII control characters (0x00-0x1F and 0x7F-0x9F range).
+    appliesTo: 'both',
+    action: 'strip',
+  }),
+  templateInjection: Object.freeze({
+    name: 'templateInjection',
+    regex: /\{\s*\$|\$?\{(.|\r?\n)*\}/g, // Finds placeholders or variables in the format `${...}` or `{ $... }`.
+    appliesTo: 'both',
+    action: 'strip',
+  }),
+  serverSideJs: Object.freeze({
+    name: 'serverSideJs',
+    // Finds any of the SERVER_SIDE_JS_CONSTRUCTS, so that the preset and the serverSideJs option agree.
+    regex: new RegExp(
+      Object.values(SERVER_SIDE_JS_CONSTRUCTS)
+        .map(({ source }) => source)
+        .join('|'),
+      'g'
+    ),
+    appliesTo: 'value',
+    action: 'reject',
+  }),
+});
+
+/**
+ * Collection of regular expression patterns used for sanitization, the regexes of the presets enabled by default
+ * @constant {RegExp[]}
+ */
+const PATTERNS = Object.freeze(
+  ['mongoOperators', 'dotNotation', 'regexMeta', 'controlChars', 'templateInjection'].map(
+    (name) => PATTERN_PRESETS[name].regex
+  )
+);
+
+/**
+ * Patterns matching MongoDB operator keys and dotted paths, used by the 'operators' strategy
  * @constant {RegExp[]}
  */
-const PATTERNS = Object.freeze([
-  /[\$]/g, // Finds all '$' (dollar) characters in the text.
-  /\./g, // Finds all '.' (dot) characters in the text.
-  /[\\\/{}.(*+?|[\]^)]/g, // Finds special characters (\, /, {, }, (, ., *, +, ?, |, [, ], ^, )) that need to be escaped.
-  /[\u0000-\u001F\u007F-\u009F]/g, // Finds ASCII control characters (0x00-0x1F and 0x7F-0x9F range).
-  /\{\s*\$|\$?\{(.|\r?\n)*\}/g, // Finds placeholders or variables in the format `${...}` or `{ $... }`.
+const OPERATOR_PATTERNS = Object.freeze([
+  /^\$/, // Finds keys starting with '$' (query and update operators such as $where, $gt, $set).
+  /\./, // Finds keys containing '.' (dot notation reaching into nested fields).
 ]);
 
+/**
+ * Names reported for the matches of OPERATOR_PATTERNS, in the same order
+ * @constant {string[]}
+ */
+const OPERATOR_PATTERN_NAMES = Object.freeze(['mongoOperators', 'dotNotation']);
+
+/**
+ * Operators that execute JavaScript or arbitrary expressions on the server and can never be allowed
+ * @constant {string[]}
+ */
+const DANGEROUS_OPERATORS = Object.freeze(['$where', '$function', '$accumulator', '$expr']);
+
+/**
+ * Expected value shapes of common query operators, used to validate allowedOperators
+ * Operators that are not listed accept any value.
+ * @constant {Object<string, string>}
+ */
+const OPERATOR_VALUE_SHAPES = Object.freeze({
+  $eq: 'scalar',
+  $ne: 'scalar',
+  $gt: 'scalar',
+  $gte: 'scalar',
+  $lt: 'scalar',
+  $lte: 'scalar',
+  $in: 'scalarArray',
+  $nin: 'scalarArray',
+  $all: 'array',
+  $mod: 'array',
+  $exists: 'boolean',
+  $type: 'scalar',
+  $size: 'number',
+  $regex: 'string',
+  $options: 'string',
+  $elemMatch: 'object',
+  $not: 'object',
+  $and: 'objectArray',
+  $or: 'objectArray',
+  $nor: 'objectArray',
+});
+
+/**
+ * Keys that can modify object prototypes when assigned or merged
+ * @constant {string[]}
+ */
+const PROTOTYPE_KEYS = Object.freeze(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Standard headers left untouched when 'headers' is sanitized, their values legitimately contain characters matched
+ * by the default patterns (e.g. '/' in content types, '.' in hosts and tokens)
+ * @constant {string[]}
+ */
+const ALLOWED_HEADERS = Object.freeze([
+  'accept',
+  'accept-encoding',
+  'accept-language',
+  'authorization',
+  'cache-control',
+  'connection',
+  'content-length',
+  'content-type',
+  'cookie',
+  'host',
+  'if-match',
+  'if-modified-since',
+  'if-none-match',
+  'origin',
+  'proxy-authorization',
+  'referer',
+  'traceparent',
+  'tracestate',
+  'user-agent',
+  'x-forwarded-for',
+  'x-forwarded-host',
+  'x-forwarded-proto',
+  'x-request-id',
+]);
+
+/**
+ * Options that can only be set when registering the plugin, not in a route's config.mongoSanitize
+ * @constant {string[]}
+ */
+const PLUGIN_ONLY_OPTIONS = Object.freeze(['hook', 'skipRoutes']);
+
+/**
+ * Route schema of each request property, as declared in the route's `schema` option
+ * @constant {Object<string, string>}
+ */
+const ROUTE_SCHEMA_PROPERTIES = Object.freeze({
+  body: 'body',
+  query: 'querystring',
+  params: 'params',
+});
+
+/**
+ * String formats whose values are exempt from sanitization when useRouteSchema is enabled, their values legitimately
+ * contain characters matched by the default patterns (e.g. '.' and '@' in emails, '/' and '?' in URIs)
+ * @constant {string[]}
+ */
+const SCHEMA_EXEMPT_FORMATS = Object.freeze(['email', 'uri', 'date-time']);
+
+/**
+ * Schema keyword marking a field that may carry query operators when useRouteSchema is enabled.
+ * Set it to true to allow every operator except DANGEROUS_OPERATORS, or to an array of operators.
+ * @constant {string}
+ */
+const MONGO_FILTER_KEYWORD = 'x-mongo-filter';
+
+/**
+ * HTTP status codes used when a limit is exceeded and limits.action is 'reject'. Payloads nested deeper than allowed
+ * are malformed (400), payloads that are too large are rejected with 413 Payload Too Large.
+ * @constant {Object<string, number>}
+ */
+const LIMIT_STATUS_CODES = Object.freeze({
+  maxDepth: 400,
+  maxKeys: 413,
+  maxArrayLength: 413,
+  maxStringLength: 413,
+  maxTotalNodes: 413,
+});
+
 /**
  * Log levels for debugging
  */
@@ -40,22 +233,47 @@ const LOG_COLORS = Object.freeze({
  */
 const DEFAULT_OPTIONS = Object.freeze({
   replaceWith: '', // The string to replace the matched patterns with. Default is an empty string. If you want to replace the matched patterns with a different string, you can set this option.
+  strategy: 'aggressive', // The sanitization strategy. Default is 'aggressive'. You can set this option to 'aggressive' or 'operators'. 'aggressive' applies the patterns to every key and string value. 'operators' only removes keys starting with '$' or containing '.' and leaves string values untouched.
   removeMatches: false, // Remove the matched patterns. Default is false. If you want to remove the matched patterns instead of replacing them, you can set this option to true.
-  sanitizeObjects: ['body', 'params', 'query'], // The request properties to sanitize. Default is ['body', 'params', 'query']. You can specify any request property that you want to sanitize. It must be an object.
+  removeKeyMatches: null, // What to do with an object entry whose key matches a pattern. Default is null, which follows removeMatches. You can set this option to 'strip' (or false) to only replace the match, 'remove' (or true) to drop the entry, 'nullify' to keep the sanitized key with a null value, or 'reject' to abort with a FastifyMongoSanitizeError of type 'injection_detected'. Takes precedence over removeMatches for keys.
+  removeValueMatches: null, // What to do with a string value matching a pattern. Default is null, which follows removeMatches. Accepts the same policies as removeKeyMatches: 'remove' drops the object entry or the array item, 'nullify' replaces the value with null. Unlike removeMatches, it also applies to array items. Takes precedence over removeMatches for values.
+  sanitizeObjects: ['body', 'params', 'query'], // The request properties to sanitize. Default is ['body', 'params', 'query']. You can specify any request property that you want to sanitize. It must be an object. Use 'headers' for header values, 'cookies' for @fastify/cookie. Sanitizing 'body' also covers @fastify/multipart fields, attached to the body or streamed with request.parts().
+  allowedHeaders: ALLOWED_HEADERS, // Header names left untouched when 'headers' is in sanitizeObjects, case-insensitive. Default is a list of standard headers such as 'authorization', 'content-type', 'cookie' and 'user-agent'. Extend it with [...ALLOWED_HEADERS, 'x-signature'] or replace it.
+  hook: 'preHandler', // The hook sanitization runs in when mode is 'auto'. Default is 'preHandler'. You can set this option to 'onRequest', 'preValidation' or 'preHandler'. Use 'preValidation' or 'onRequest' to sanitize before schema validation. With 'onRequest' the params and query are sanitized in onRequest and the body, which is not parsed yet, in preValidation.
   mode: 'auto', // The mode of operation. Default is 'auto'. You can set this option to 'auto', 'manual'. If you set it to 'auto', the plugin will automatically sanitize the request objects. If you set it to 'manual', you can sanitize the request objects manually using the request.sanitize() method.
-  skipRoutes: [], // An array of routes to skip. Default is an empty array. If you want to skip certain routes from sanitization, you can specify the routes here. The routes must be in the format '/path'. For example, ['/health', '/metrics'].
-  customSanitizer: null, // A custom sanitizer function. Default is null. If you want to use a custom sanitizer function, you can specify it here. The function must accept two arguments: the original data and the options object. It must return the sanitized data.
+  onViolation: 'sanitize', // What to do when a pattern matches. Default is 'sanitize'. You can set this option to 'sanitize', 'reject' or 'report'. 'sanitize' rewrites the request data, 'reject' aborts the request with a FastifyMongoSanitizeError of type 'injection_detected' listing the offending paths, 'report' leaves the request data untouched and only records what would have been changed in request.sanitizationReport.
+  rejectStatusCode: 400, // The HTTP status code used when a request is rejected. Default is 400. Only used when onViolation is 'reject'.
+  skipRoutes: [], // An array of routes to skip. Default is an empty array. If you want to skip certain routes from sanitization, you can specify the routes here. Entries can be paths or route templates ('/health', '/users/:id'), wildcards ('/admin/*'), RegExps matched against the route template, or { method, url } objects to skip only some methods. For example, ['/metrics', { method: 'GET', url: '/health' }].
+  customSanitizer: null, // Deprecated, use pipeline instead. A function replacing the built-in sanitization. Default is null. The function receives the original data and the options object and must return the sanitized data. The pipeline does not run when it is set.
+  pipeline: [], // Custom sanitization steps. Default is an empty array. Each step is { name, phase, level, run }: run(value, { path, key, requestProperty, request, options }) returns the new key or value, or undefined to remove it, and may return a promise. phase is 'before' or 'after' (default) the built-in sanitization; level is 'key' (object keys), 'value' (default, strings and other leaf values) or 'node' (leaves, objects, arrays, Maps and Sets). Steps run in order and their changes are recorded in the sanitization report.
+  useRouteSchema: false, // Derive per-field rules from the route's JSON schema (body, querystring and params). Default is false. Declared string fields with format email, uri or date-time are left untouched, other declared scalar fields get the 'operators' strategy, properties an object schema does not declare are removed unless additionalProperties allows them, and only fields marked with 'x-mongo-filter' may carry query operators.
   recursive: true, // Enable recursive sanitization. Default is true. If you want to recursively sanitize the nested objects, you can set this option to true.
+  inPlace: false, // Sanitize objects, arrays, Maps and Sets in place. Default is false. By default sanitization builds a sanitized copy and leaves the input untouched. Set this option to true to mutate the input instead, which avoids allocating a copy; renamed keys move to the end of their object. Ignored when onViolation is 'report'.
+  preserveOriginal: false, // Keep an untouched deep copy of each sanitized request property. Default is false. If you want to audit what the client sent, set this option to true and read request.originalBody, request.originalQuery, request.originalParams etc.
   removeEmpty: false, // Remove empty values. Default is false. If you want to remove empty values after sanitization, you can set this option to true.
-  patterns: PATTERNS, // An array of patterns to match. Default is an array of patterns that match illegal characters and sequences. You can specify your own patterns if you want to match different characters or sequences. Each pattern must be a regular expression.
-  allowedKeys: null, // An array of allowed keys. If you want to allow only certain keys in the object, you can specify the keys here. The keys must be strings. If a key is not in the allowedKeys array, it will be removed.
-  deniedKeys: null, // An array of denied keys. If you want to deny certain keys in the object, you can specify the keys here. The keys must be strings. If a key is in the deniedKeys array, it will be removed.
+  patterns: PATTERNS, // An array of patterns to match. Default is the regexes of the mongoOperators, dotNotation, regexMeta, controlChars and templateInjection presets. Each entry is a regular expression, the name of a preset ('mongoOperators', 'dotNotation', 'regexMeta', 'controlChars', 'templateInjection', 'serverSideJs') or a named pattern { name, regex, appliesTo, action }, where appliesTo is 'key', 'value' or 'both' (default) and action is 'strip' (default, replace the match), 'remove' (drop the entry) or 'reject' (abort with a FastifyMongoSanitizeError). Matches are reported by name.
+  prototypePollution: 'remove', // How to handle '__proto__', 'constructor' and 'prototype' keys at any depth. Default is 'remove'. You can set this option to 'remove', 'reject' or false. 'remove' drops the key, 'reject' aborts with a FastifyMongoSanitizeError of type 'prototype_pollution', false keeps the key as a plain own property.
+  serverSideJs: false, // Detection of JavaScript meant to run on the server ($where, $function, mapReduce) in string values. Default is false. You can set this option to false, 'reject' or 'report'. Function bodies, arrow functions, this.field references, sleep(), while(true), emit() and eval() are detected in the original value, before any pattern is applied. 'reject' aborts with a FastifyMongoSanitizeError of type 'injection_detected', 'report' records a violation with reason 'serverSideJs' and leaves onViolation to decide. Keys and exempt values are not inspected.
+  exemptions: ['email'], // String values left untouched. Default is ['email']. Entries are the names of built-in exemptions ('email', 'url', 'uuid', 'isoDate', 'decimal', 'phone', 'semver'), predicates (value) => boolean or { name, test } objects. Use an object to enable exemptions per key path, with '*' for every value: { '*': ['email'], 'profile.website': ['url'], 'items[].price': ['decimal'] }. Set to [] to sanitize email addresses as well. Keys are never exempt.
+  allowedOperators: null, // Operators to preserve. Default is null. Either an array of operators allowed at any path (e.g. ['$in', '$gte']) or an object mapping field paths to operators (e.g. { price: ['$gte', '$lte'] }). Array indices in paths are written as '[]' and '*' matches any path. $where, $function, $accumulator and $expr can never be allowed, and values must have the shape the operator expects.
+  allowedKeys: null, // An array of allowed key paths. Default is null. If you want to allow only certain keys in the object, you can specify their paths here, e.g. ['name', 'user.profile.*', 'items[].sku']. Paths are anchored at the root of the sanitized property, '[]' matches array items, '*' any single key and '**' any depth. Keys whose path is not allowed are removed, allowed keys keep their whole subtree.
+  deniedKeys: null, // An array of denied key paths. Default is null. If you want to deny certain keys in the object, you can specify their paths here, e.g. ['user.role', '**.password']. Uses the same syntax as allowedKeys. Keys whose path is denied are removed.
+  typeHandlers: [], // Sanitizers for values of your own classes. Default is an empty array. Each entry is { type, sanitize } or { test, sanitize }: values that are instances of type (or pass test) are replaced by the result of sanitize(value, { path, options, sanitize }), where sanitize(nested, key) sanitizes a nested value. Handlers take precedence over the built-in handling of Map, Set, binary and BSON values.
   stringOptions: {
     // String sanitization options.
     trim: false, // Trim whitespace. Default is false. If you want to trim leading and trailing whitespace from the string, you can set this option to true.
     lowercase: false, // Convert to lowercase. Default is false. If you want to convert the string to lowercase, you can set this option to true.
     maxLength: null, // Maximum length. Default is null. If you want to limit the maximum length of the string, you can set this option to a number. If the string length exceeds the maximum length, it will be truncated.
   },
+  limits: {
+    // Structural limits enforced while traversing, to stop deeply nested or huge payloads from exhausting the stack or the CPU.
+    maxDepth: null, // Maximum nesting depth of objects and arrays. Default is null. The sanitized value itself has depth 1, e.g. { a: { b: [] } } has depth 3.
+    maxKeys: null, // Maximum number of keys of a single object. Default is null.
+    maxArrayLength: null, // Maximum number of items of a single array. Default is null.
+    maxStringLength: null, // Maximum length of a string value, checked before any pattern is applied. Default is null. Keys are not affected.
+    maxTotalNodes: null, // Maximum number of values, including nested objects and arrays, in a single sanitized value. Default is null.
+    action: 'reject', // What to do when a limit is exceeded. Default is 'reject'. You can set this option to 'reject' or 'truncate'. 'reject' aborts with a FastifyMongoSanitizeError of type 'limit_exceeded' (status 400 for maxDepth, 413 otherwise), 'truncate' drops the excess keys, items, nesting levels or characters and records them in the report.
+  },
   arrayOptions: {
     // Array sanitization options.
     filterNull: false, // Filter null values. Default is false. If you want to remove null values from the array, you can set this option to true.
@@ -67,11 +285,25 @@ const DEFAULT_OPTIONS = Object.freeze({
     logPatternMatches: false, // Log when patterns are matched
     logSanitizedValues: false, // Log before/after values
     logSkippedRoutes: false, // Log when routes are skipped
+    pretty: false, // Write colored lines to the console instead of the Fastify logger
   },
 });
 
 module.exports = {
   PATTERNS,
+  PATTERN_PRESETS,
+  OPERATOR_PATTERNS,
+  OPERATOR_PATTERN_NAMES,
+  DANGEROUS_OPERATORS,
+  PROTOTYPE_KEYS,
+  ALLOWED_HEADERS,
+  OPERATOR_VALUE_SHAPES,
+  PLUGIN_ONLY_OPTIONS,
+  ROUTE_SCHEMA_PROPERTIES,
+  SCHEMA_EXEMPT_FORMATS,
+  MONGO_FILTER_KEYWORD,
+  SERVER_SIDE_JS_CONSTRUCTS,
+  LIMIT_STATUS_CODES,
   LOG_LEVELS,
   LOG_COLORS,
   DEFAULT_OPTIONS,
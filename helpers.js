@@ -1,17 +1,37 @@
-const { LOG_LEVELS, LOG_COLORS } = require('./constants');
+const {
+  LOG_LEVELS,
+  LOG_COLORS,
+  DANGEROUS_OPERATORS,
+  OPERATOR_VALUE_SHAPES,
+  LIMIT_STATUS_CODES,
+  ROUTE_SCHEMA_PROPERTIES,
+  SCHEMA_EXEMPT_FORMATS,
+  MONGO_FILTER_KEYWORD,
+  PATTERN_PRESETS,
+  SERVER_SIDE_JS_CONSTRUCTS,
+} = require('./constants');
 const FastifyMongoSanitizeError = require('./FastifyMongoSanitizeError');
 
 /**
  * Enhanced logging function with timing and context
+ * Writes structured entries to debugOpts.logger (a pino child logger bound by bindLogger), or colored console output
+ * when debugOpts.pretty is set. Without either, e.g. when Fastify's logger is disabled, nothing is written.
  * @param {Object} debugOpts - Debug options containing enabled status and log level
  * @param {string} level - Log level (error, warn, info, debug, trace)
  * @param {string} context - Context information (e.g., function name, operation)
  * @param {string} message - Log message
- * @param {*} data - Optional data to log
+ * @param {*} data - Optional data to log, plain objects are logged as structured fields
  */
 const log = (debugOpts, level, context, message, data = null) => {
   if (!debugOpts?.enabled || LOG_LEVELS[debugOpts.level || 'silent'] < LOG_LEVELS[level]) return;
 
+  if (!debugOpts.pretty) {
+    if (!debugOpts.logger) return;
+    const fields = isPlainObject(data) ? { context, ...data } : data !== null ? { context, data } : { context };
+    debugOpts.logger[level](fields, message);
+    return;
+  }
+
   const color = LOG_COLORS[level] || '';
   const reset = LOG_COLORS.reset;
   const timestamp = new Date().toISOString();
@@ -30,6 +50,20 @@ const log = (debugOpts, level, context, message, data = null) => {
   }
 };
 
+/**
+ * Binds a child of the given Fastify logger to the debug options
+ * @param {Object} options - Sanitization options
+ * @param {Object} parentLogger - Fastify logger (fastify.log or request.log)
+ * @returns {Object} Options whose debug.logger is a child logger at debug.level, or the options unchanged
+ */
+const bindLogger = (options, parentLogger) => {
+  const { debug } = options;
+  if (!debug?.enabled || debug.pretty || !isFunction(parentLogger?.child)) return options;
+
+  const logger = parentLogger.child({ plugin: 'fastify-mongo-sanitize' }, { level: debug.level || 'silent' });
+  return { ...options, debug: { ...debug, logger } };
+};
+
 /**
  * Performance timing utility
  * @param {Object} debugOpts - Debug options
@@ -38,12 +72,15 @@ const log = (debugOpts, level, context, message, data = null) => {
  */
 const startTiming = (debugOpts, operation) => {
   const start = process.hrtime();
-  log(debugOpts, 'trace', 'TIMING', `Started: ${operation}`);
+  log(debugOpts, 'trace', 'TIMING', `Started: ${operation}`, { operation });
 
   return () => {
     const [seconds, nanoseconds] = process.hrtime(start);
     const milliseconds = seconds * 1000 + nanoseconds / 1000000;
-    log(debugOpts, 'trace', 'TIMING', `Completed: ${operation} in ${milliseconds.toFixed(2)}ms`);
+    log(debugOpts, 'trace', 'TIMING', `Completed: ${operation} in ${milliseconds.toFixed(2)}ms`, {
+      operation,
+      durationMs: milliseconds,
+    });
   };
 };
 
@@ -54,6 +91,71 @@ const startTiming = (debugOpts, operation) => {
  */
 const isEmail = (val) => /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/i.test(val);
 
+/**
+ * Checks if value is an absolute http(s) URL
+ * @param {string} val - Value to check
+ * @returns {boolean} True if value is a URL without whitespace that the URL parser accepts
+ */
+const isUrl = (val) => {
+  if (!/^https?:\/\/\S+$/i.test(val)) return false;
+  try {
+    return !!new URL(val);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Checks if value is a UUID
+ * @param {string} val - Value to check
+ * @returns {boolean} True if value is a hyphenated UUID
+ */
+const isUuid = (val) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(val);
+
+/**
+ * Checks if value is an ISO 8601 date or date-time
+ * @param {string} val - Value to check
+ * @returns {boolean} True if value is a valid date such as '2024-05-01' or '2024-05-01T10:30:00.000Z'
+ */
+const isIsoDate = (val) =>
+  /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,9})?)?(Z|[+-]\d{2}:\d{2})?)?$/.test(val) &&
+  !Number.isNaN(Date.parse(val));
+
+/**
+ * Checks if value is a decimal number
+ * @param {string} val - Value to check
+ * @returns {boolean} True if value is a number such as '-12', '3.14' or '1e-7'
+ */
+const isDecimal = (val) => /^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/.test(val);
+
+/**
+ * Checks if value is a phone number
+ * @param {string} val - Value to check
+ * @returns {boolean} True if value has 7 to 15 digits, an optional leading '+' and spaces, dots, dashes or parentheses
+ */
+const isPhone = (val) => /^\+?(?:[\s().-]*\d){7,15}[\s().-]*$/.test(val);
+
+/**
+ * Checks if value is a semantic version
+ * @param {string} val - Value to check
+ * @returns {boolean} True if value is a version such as '1.2.3', 'v2.0.0-rc.1' or '1.0.0+build.5'
+ */
+const isSemver = (val) => /^v?\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?(\+[0-9A-Za-z.-]+)?$/.test(val);
+
+/**
+ * Named exemptions: string values matching an enabled exemption are left untouched
+ * @constant {Object<string, Function>}
+ */
+const EXEMPTIONS = Object.freeze({
+  email: isEmail,
+  url: isUrl,
+  uuid: isUuid,
+  isoDate: isIsoDate,
+  decimal: isDecimal,
+  phone: isPhone,
+  semver: isSemver,
+});
+
 /**
  * Checks if value is a string
  * @param {*} value - Value to check
@@ -82,6 +184,13 @@ const isArray = (value) => Array.isArray(value);
  */
 const isPrimitive = (value) => value === null || ['number', 'boolean'].includes(typeof value);
 
+/**
+ * Checks if value is a removeKeyMatches/removeValueMatches policy
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is null, a boolean, 'strip', 'remove', 'nullify' or 'reject'
+ */
+const isMatchPolicy = (value) => [null, true, false, 'strip', 'remove', 'nullify', 'reject'].includes(value);
+
 /**
  * Checks if value is a Date object
  * @param {*} value - Value to check
@@ -89,6 +198,47 @@ const isPrimitive = (value) => value === null || ['number', 'boolean'].includes(
  */
 const isDate = (value) => value instanceof Date;
 
+/**
+ * Checks if value is a Map
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a Map
+ */
+const isMap = (value) => value instanceof Map;
+
+/**
+ * Checks if value is a Set
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a Set
+ */
+const isSet = (value) => value instanceof Set;
+
+/**
+ * Checks if value is binary data, i.e. a Buffer, a typed array, a DataView or an ArrayBuffer
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is binary data
+ */
+const isBinary = (value) => ArrayBuffer.isView(value) || value instanceof ArrayBuffer;
+
+/**
+ * Checks if value is a BSON value such as an ObjectId, Decimal128 or Long. Object literals are never BSON values,
+ * so a '_bsontype' key in a parsed request body cannot be used to skip sanitization.
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a class instance carrying a '_bsontype' tag
+ */
+const isBsonValue = (value) =>
+  !!value &&
+  typeof value === 'object' &&
+  isString(value._bsontype) &&
+  ![Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+/**
+ * Checks if value is a part created by @fastify/multipart, i.e. a field or a file attached to the body
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a multipart field or file part
+ */
+const isMultipartPart = (value) =>
+  isPlainObject(value) && (value.type === 'field' || value.type === 'file') && isString(value.fieldname);
+
 /**
  * Checks if value is a function
  * @param {*} value - Value to check
@@ -96,6 +246,793 @@ const isDate = (value) => value instanceof Date;
  */
 const isFunction = (value) => typeof value === 'function';
 
+/**
+ * Checks if value is a promise or another thenable
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value has a then method
+ */
+const isThenable = (value) => !!value && (typeof value === 'object' || isFunction(value)) && isFunction(value.then);
+
+/**
+ * Checks if value can be compared by a query operator (null, number, boolean, string or Date)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is scalar
+ */
+const isScalar = (value) => isPrimitive(value) || isString(value) || isDate(value);
+
+/**
+ * Checks for each operator value shape
+ * @constant {Object<string, Function>}
+ */
+const shapeCheckers = Object.freeze({
+  scalar: isScalar,
+  scalarArray: (value) => isArray(value) && value.every(isScalar),
+  array: isArray,
+  objectArray: (value) => isArray(value) && value.every(isPlainObject),
+  object: isPlainObject,
+  string: isString,
+  number: (value) => typeof value === 'number',
+  boolean: (value) => typeof value === 'boolean',
+});
+
+const compiledOperators = new WeakMap();
+
+/**
+ * Compiles the allowedOperators option into a lookup structure, cached per option value
+ * @param {string[]|Object<string, string[]>|null} allowedOperators - Operators allowed anywhere or per path
+ * @returns {{any: Set<string>, paths: Map<string, Set<string>>}|null} Compiled operators or null
+ * @throws {FastifyMongoSanitizeError} If the option is malformed or lists a dangerous operator
+ */
+const compileAllowedOperators = (allowedOperators) => {
+  if (allowedOperators == null) return null;
+  if (compiledOperators.has(allowedOperators)) return compiledOperators.get(allowedOperators);
+
+  if (!isArray(allowedOperators) && !isPlainObject(allowedOperators)) {
+    throw new FastifyMongoSanitizeError('Invalid configuration: allowedOperators', 'type_error');
+  }
+
+  const compiled = { any: new Set(), paths: new Map() };
+  const entries = isArray(allowedOperators) ? [['*', allowedOperators]] : Object.entries(allowedOperators);
+
+  for (const [path, operators] of entries) {
+    if (!isArray(operators) || !operators.every((operator) => isString(operator) && operator.startsWith('$'))) {
+      throw new FastifyMongoSanitizeError('Invalid configuration: allowedOperators', 'type_error');
+    }
+
+    const dangerous = operators.find((operator) => DANGEROUS_OPERATORS.includes(operator));
+    if (dangerous) {
+      throw new FastifyMongoSanitizeError(`Invalid configuration: ${dangerous} cannot be allowed`, 'type_error');
+    }
+
+    const target = path === '*' ? compiled.any : new Set();
+    operators.forEach((operator) => target.add(operator));
+    if (path !== '*') compiled.paths.set(path, target);
+  }
+
+  compiledOperators.set(allowedOperators, compiled);
+  return compiled;
+};
+
+/**
+ * Checks if a key is an allowed operator at the given path carrying a value of the expected shape
+ * @param {string[]|Object<string, string[]>|null} allowedOperators - allowedOperators option
+ * @param {string} key - Object key
+ * @param {*} value - Value of the key
+ * @param {string} path - Path of the object holding the key, relative to the sanitized request property
+ * @returns {boolean} True if the operator must be preserved
+ */
+const isAllowedOperator = (allowedOperators, key, value, path) => {
+  if (!allowedOperators || !key.startsWith('$')) return false;
+
+  const compiled = compileAllowedOperators(allowedOperators);
+  const normalizedPath = path.replace(/\[\d+\]/g, '[]');
+  if (!compiled.any.has(key) && !compiled.paths.get(normalizedPath)?.has(key)) return false;
+
+  return hasOperatorShape(key, value);
+};
+
+/**
+ * Checks if the value of an operator has the expected shape
+ * @param {string} operator - Operator, e.g. '$in'
+ * @param {*} value - Value of the operator
+ * @returns {boolean} True if the operator has no known shape or the value matches it
+ */
+const hasOperatorShape = (operator, value) => {
+  const shape = OPERATOR_VALUE_SHAPES[operator];
+  return !shape || shapeCheckers[shape](value);
+};
+
+const compiledSchemas = new WeakMap();
+
+/**
+ * Compiles the JSON schema of a request property into sanitization rules. A rule either applies a treatment to a
+ * whole subtree ('exempt' for string formats listed in SCHEMA_EXEMPT_FORMATS, 'text' for other scalars, 'filter' for
+ * fields marked with MONGO_FILTER_KEYWORD) or describes the properties and items of objects and arrays.
+ * Schemas that cannot be followed ($ref, combinators) and free-form objects yield no rules.
+ * @param {*} schema - JSON schema
+ * @returns {Object|null} Rule, or null when the schema does not restrict the value
+ * @throws {FastifyMongoSanitizeError} If a filter field allows a dangerous or malformed operator
+ */
+const compileSchemaRules = (schema) => {
+  if (!isPlainObject(schema)) return null;
+  if (compiledSchemas.has(schema)) return compiledSchemas.get(schema);
+
+  let rule = null;
+  const filter = schema[MONGO_FILTER_KEYWORD];
+  const types = [].concat(schema.type ?? []);
+
+  if (filter !== undefined && filter !== false) {
+    if (
+      filter !== true &&
+      !(isArray(filter) && filter.every((operator) => isString(operator) && operator[0] === '$'))
+    ) {
+      throw new FastifyMongoSanitizeError(`Invalid schema: ${MONGO_FILTER_KEYWORD}`, 'type_error');
+    }
+    const dangerous = filter === true ? null : filter.find((operator) => DANGEROUS_OPERATORS.includes(operator));
+    if (dangerous) throw new FastifyMongoSanitizeError(`Invalid schema: ${dangerous} cannot be allowed`, 'type_error');
+    rule = { treatment: 'filter', operators: filter === true ? null : new Set(filter) };
+  } else if (schema.$ref || schema.allOf || schema.anyOf || schema.oneOf || schema.not || schema.if) {
+    rule = null;
+  } else if (types.length > 0 && types.every((type) => !['object', 'array'].includes(type))) {
+    const exempt = types.includes('string') && SCHEMA_EXEMPT_FORMATS.includes(schema.format);
+    rule = { treatment: exempt ? 'exempt' : 'text' };
+  } else if (types.includes('array') || schema.items) {
+    const items = isArray(schema.items) ? null : compileSchemaRules(schema.items);
+    rule = items && { treatment: null, items };
+  } else if (
+    schema.properties ||
+    schema.patternProperties ||
+    isPlainObject(schema.additionalProperties) ||
+    (types.includes('object') && schema.additionalProperties === false)
+  ) {
+    const { additionalProperties } = schema;
+    rule = {
+      treatment: null,
+      properties: new Map(
+        Object.entries(schema.properties ?? {}).map(([key, value]) => [key, compileSchemaRules(value)])
+      ),
+      patternProperties: Object.entries(schema.patternProperties ?? {}).map(([pattern, value]) => [
+        new RegExp(pattern, 'u'),
+        compileSchemaRules(value),
+      ]),
+      // Undeclared keys are removed unless additionalProperties is true or a schema, which may be unrestricted (null)
+      additionalProperties:
+        additionalProperties === undefined || additionalProperties === false
+          ? false
+          : compileSchemaRules(additionalProperties),
+    };
+  } else if (schema.enum || 'const' in schema) {
+    rule = { treatment: 'text' };
+  }
+
+  compiledSchemas.set(schema, rule);
+  return rule;
+};
+
+/**
+ * Returns the rule of an object entry
+ * @param {Object|null} rule - Rule of the object
+ * @param {string} key - Key of the entry
+ * @returns {Object|null|false} Rule of the value, null when unrestricted, false when the key is not declared
+ */
+const schemaPropertyRule = (rule, key) => {
+  if (!rule || rule.treatment) return rule;
+  if (!rule.properties) return null;
+  if (rule.properties.has(key)) return rule.properties.get(key);
+  const pattern = rule.patternProperties.find(([regex]) => regex.test(key));
+  return pattern ? pattern[1] : rule.additionalProperties;
+};
+
+/**
+ * Returns the rule of array items
+ * @param {Object|null} rule - Rule of the array
+ * @returns {Object|null} Rule of the items, null when unrestricted
+ */
+const schemaItemRule = (rule) => (!rule || rule.treatment ? rule : (rule.items ?? null));
+
+const compiledRouteSchemas = new WeakMap();
+
+/**
+ * Compiles the schema of a route into sanitization rules for each request property in ROUTE_SCHEMA_PROPERTIES,
+ * cached per schema object
+ * @param {Object|undefined} schema - Route schema
+ * @returns {Object<string, Object|null>|null} Rules per request property, or null without a schema
+ * @throws {FastifyMongoSanitizeError} If a filter field allows a dangerous or malformed operator
+ */
+const compileRouteSchema = (schema) => {
+  if (!isPlainObject(schema)) return null;
+  if (compiledRouteSchemas.has(schema)) return compiledRouteSchemas.get(schema);
+
+  const rules = Object.fromEntries(
+    Object.entries(ROUTE_SCHEMA_PROPERTIES).map(([property, name]) => [property, compileSchemaRules(schema[name])])
+  );
+  compiledRouteSchemas.set(schema, rules);
+  return rules;
+};
+
+const compiledExemptions = new WeakMap();
+
+/**
+ * Compiles the exemptions option into predicates, cached per option value
+ * @param {Array|Object<string, Array>} exemptions - Exemptions of every value, or per path with '*' for every value.
+ * Entries are names of EXEMPTIONS, predicates or { name, test } objects.
+ * @returns {{any: Function[], paths: Map<string, Function[]>}} Compiled predicates
+ * @throws {FastifyMongoSanitizeError} If the option is malformed or names an unknown exemption
+ */
+const compileExemptions = (exemptions) => {
+  if (compiledExemptions.has(exemptions)) return compiledExemptions.get(exemptions);
+
+  if (!isArray(exemptions) && !isPlainObject(exemptions)) {
+    throw new FastifyMongoSanitizeError('Invalid configuration: exemptions', 'type_error');
+  }
+
+  const toPredicate = (exemption) => {
+    if (isFunction(exemption)) return exemption;
+    if (isPlainObject(exemption) && isFunction(exemption.test)) return (value) => exemption.test(value);
+    if (isString(exemption) && Object.prototype.hasOwnProperty.call(EXEMPTIONS, exemption)) {
+      return EXEMPTIONS[exemption];
+    }
+    throw new FastifyMongoSanitizeError(`Invalid configuration: unknown exemption ${String(exemption)}`, 'type_error');
+  };
+
+  const compiled = { any: [], paths: new Map() };
+  const entries = isArray(exemptions) ? [['*', exemptions]] : Object.entries(exemptions);
+
+  for (const [path, list] of entries) {
+    if (!isArray(list)) throw new FastifyMongoSanitizeError('Invalid configuration: exemptions', 'type_error');
+    const predicates = list.map(toPredicate);
+    if (path === '*') compiled.any.push(...predicates);
+    else compiled.paths.set(path, predicates);
+  }
+
+  compiledExemptions.set(exemptions, compiled);
+  return compiled;
+};
+
+const compiledKeyPaths = new WeakMap();
+
+/**
+ * Parses a key path expression into segments
+ * @param {string} expression - Path expression, e.g. 'user.profile.*', 'items[].sku' or '**.password'
+ * @returns {string[]} Segments, array items are represented by '[]'
+ * @throws {FastifyMongoSanitizeError} If the expression is malformed
+ */
+const parseKeyPath = (expression) => {
+  const segments = [];
+  for (const part of expression.split('.')) {
+    const [, name, brackets] = part.match(/^(.*?)((?:\[\])*)$/);
+    if (!name && !brackets) {
+      throw new FastifyMongoSanitizeError(`Invalid key path: ${expression}`, 'type_error');
+    }
+    if (name) segments.push(name);
+    for (let i = 0; i < brackets.length / 2; i++) segments.push('[]');
+  }
+  return segments;
+};
+
+/**
+ * Compiles allowedKeys/deniedKeys path expressions into an incremental matcher, cached per option value
+ * Expressions are anchored at the root of the sanitized request property: segments are separated by '.',
+ * '[]' matches array items, '*' matches any single key and '**' any number of keys and array items.
+ * Matcher states are advanced one key or array item at a time while the sanitizer descends.
+ * @param {string[]|null} expressions - Path expressions
+ * @returns {{start: number[], step: Function, matched: Function, pending: Function}|null} Matcher or null
+ * @throws {FastifyMongoSanitizeError} If an expression is malformed
+ */
+const compileKeyPaths = (expressions) => {
+  if (!expressions || !expressions.length) return null;
+  if (compiledKeyPaths.has(expressions)) return compiledKeyPaths.get(expressions);
+
+  const patterns = expressions.map(parseKeyPath);
+  // A state is a pattern index and the position of the next segment to match, encoded in one number.
+  const encode = (index, position) => index * 1024 + position;
+  const decode = (state) => [Math.floor(state / 1024), state % 1024];
+  const isComplete = (state) => {
+    const [index, position] = decode(state);
+    return position === patterns[index].length;
+  };
+
+  const close = (states) => {
+    for (const state of states) {
+      const [index, position] = decode(state);
+      if (patterns[index][position] === '**') states.add(encode(index, position + 1));
+    }
+    return [...states];
+  };
+
+  const matcher = {
+    start: close(new Set(patterns.map((pattern, index) => encode(index, 0)))),
+    step: (states, segment) => {
+      const next = new Set();
+      for (const state of states) {
+        const [index, position] = decode(state);
+        const expected = patterns[index][position];
+        if (expected === undefined || expected === '**') next.add(state);
+        else if (expected === '*' ? segment !== '[]' : expected === segment) next.add(encode(index, position + 1));
+      }
+      return close(next);
+    },
+    matched: (states) => states.some(isComplete),
+    pending: (states) => states.some((state) => !isComplete(state)),
+  };
+
+  compiledKeyPaths.set(expressions, matcher);
+  return matcher;
+};
+
+/**
+ * Checks if value is null or a list of valid key path expressions
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is null or an array of strings
+ * @throws {FastifyMongoSanitizeError} If an expression is malformed
+ */
+const isKeyPathList = (value) => {
+  if (value === null) return true;
+  if (!isArray(value) || !value.every(isString)) return false;
+  compileKeyPaths(value);
+  return true;
+};
+
+const compiledPatterns = new WeakMap();
+
+/**
+ * Characters matched by the \d, \w and \s class escapes, as code unit ranges
+ * @constant {Object<string, number[][]>}
+ */
+const CLASS_ESCAPES = Object.freeze({
+  d: [[0x30, 0x39]],
+  w: [
+    [0x30, 0x39],
+    [0x41, 0x5a],
+    [0x5f, 0x5f],
+    [0x61, 0x7a],
+  ],
+  s: [
+    [0x09, 0x0d],
+    [0x20, 0x20],
+    [0xa0, 0xa0],
+    [0x1680, 0x1680],
+    [0x2000, 0x200a],
+    [0x2028, 0x2029],
+    [0x202f, 0x202f],
+    [0x205f, 0x205f],
+    [0x3000, 0x3000],
+    [0xfeff, 0xfeff],
+  ],
+});
+
+/**
+ * Code units of the single character escapes
+ * @constant {Object<string, number>}
+ */
+const CONTROL_ESCAPES = Object.freeze({ t: 0x09, n: 0x0a, v: 0x0b, f: 0x0c, r: 0x0d, 0: 0x00 });
+
+/**
+ * Computes the characters a match of a regular expression can start with. Only the syntax needed for character
+ * based patterns is understood; anything else (the '.' wildcard, negated classes, backreferences, the 'i' flag...)
+ * makes the first characters unknown.
+ * @param {RegExp} regex - Regular expression
+ * @returns {number[][]|null} Code unit ranges, or null if unknown or if the pattern can match an empty string
+ */
+const firstCharacters = (regex) => {
+  const { source, flags } = regex;
+  if (/[iv]/.test(flags) || (flags.includes('u') && /[\uD800-\uDFFF]/.test(source))) return null;
+  let i = 0;
+
+  // Each parser returns { first, nullable }, where first is null when any character may come first
+  const union = (a, b) => (a && b ? [...a, ...b] : null);
+
+  const parseEscape = (inClass) => {
+    const char = source[++i];
+    i++;
+    if (CLASS_ESCAPES[char]) return { first: CLASS_ESCAPES[char], nullable: false };
+    if ('DWSpPk'.includes(char) || (char >= '1' && char <= '9')) return { first: null, nullable: true };
+    if (!inClass && (char === 'b' || char === 'B')) return { first: [], nullable: true };
+    if (char === 'x' || (char === 'u' && source[i] !== '{')) {
+      const length = char === 'x' ? 2 : 4;
+      const code = parseInt(source.slice(i, i + length), 16);
+      i += length;
+      return { first: [[code, code]], nullable: false };
+    }
+    if (char === 'u' || char === 'c') return { first: null, nullable: false };
+    const code = char === 'b' ? 0x08 : (CONTROL_ESCAPES[char] ?? char.charCodeAt(0));
+    return { first: [[code, code]], nullable: false };
+  };
+
+  // Classes are always parsed to their end, even once their characters are unknown, so that parsing resumes after them
+  const parseClass = () => {
+    i++;
+    let first = [];
+    if (source[i] === '^') {
+      first = null;
+      i++;
+    }
+    while (i < source.length && source[i] !== ']') {
+      const start =
+        source[i] === '\\' ? parseEscape(true) : { first: [[source.charCodeAt(i), source.charCodeAt(i++)]] };
+      if (
+        source[i] === '-' &&
+        source[i + 1] !== ']' &&
+        start.first?.length === 1 &&
+        start.first[0][0] === start.first[0][1]
+      ) {
+        i++;
+        const end =
+          source[i] === '\\' ? parseEscape(true) : { first: [[source.charCodeAt(i), source.charCodeAt(i++)]] };
+        const valid = end.first?.length === 1 && end.first[0][0] >= start.first[0][0];
+        first = valid ? union(first, [[start.first[0][0], end.first[0][0]]]) : null;
+      } else {
+        first = union(first, start.first);
+      }
+    }
+    i++;
+    return { first, nullable: false };
+  };
+
+  const parseQuantifier = () => {
+    const char = source[i];
+    let min = 1;
+    if (char === '*' || char === '?') {
+      min = 0;
+      i++;
+    } else if (char === '+') {
+      i++;
+    } else if (char === '{') {
+      const quantifier = /^\{(\d+)(,\d*)?\}/.exec(source.slice(i));
+      if (!quantifier) return 1;
+      min = Number(quantifier[1]);
+      i += quantifier[0].length;
+    } else {
+      return 1;
+    }
+    if (source[i] === '?') i++;
+    return min;
+  };
+
+  const parseAtom = () => {
+    const char = source[i];
+    if (char === '\\') return parseEscape(false);
+    if (char === '[') return parseClass();
+    if (char === '^' || char === '$') {
+      i++;
+      return { first: [], nullable: true };
+    }
+    if (char === '.') {
+      i++;
+      return { first: null, nullable: false };
+    }
+    if (char === '(') {
+      i++;
+      let lookaround = false;
+      if (source[i] === '?') {
+        const group = /^\?(:|=|!|<=|<!|<[^>]+>)/.exec(source.slice(i))[0];
+        lookaround = ['?=', '?!', '?<=', '?<!'].includes(group);
+        i += group.length;
+      }
+      const inner = parseAlternation();
+      i++;
+      return lookaround ? { first: [], nullable: true } : inner;
+    }
+    i++;
+    return { first: [[char.charCodeAt(0), char.charCodeAt(0)]], nullable: false };
+  };
+
+  const parseSequence = () => {
+    let first = [];
+    let nullable = true;
+    while (i < source.length && source[i] !== '|' && source[i] !== ')') {
+      const atom = parseAtom();
+      const atomNullable = atom.nullable || parseQuantifier() === 0;
+      if (nullable) first = union(first, atom.first);
+      nullable = nullable && atomNullable;
+    }
+    return { first, nullable };
+  };
+
+  function parseAlternation() {
+    let { first, nullable } = parseSequence();
+    while (source[i] === '|') {
+      i++;
+      const branch = parseSequence();
+      first = union(first, branch.first);
+      nullable = nullable || branch.nullable;
+    }
+    return { first, nullable };
+  }
+
+  const { first, nullable } = parseAlternation();
+  return nullable ? null : first;
+};
+
+/**
+ * Builds a character class matching any of the given code unit ranges
+ * @param {number[][]} ranges - Code unit ranges
+ * @returns {RegExp} Non global character class
+ */
+const rangesToRegExp = (ranges) => {
+  const escape = (code) => `\\u${code.toString(16).padStart(4, '0')}`;
+  return new RegExp(`[${ranges.map(([lo, hi]) => (lo === hi ? escape(lo) : `${escape(lo)}-${escape(hi)}`)).join('')}]`);
+};
+
+/**
+ * Sources of patterns matching exactly one character: a character class, a class escape, an escaped or a plain
+ * character
+ * @constant {RegExp}
+ */
+const SINGLE_CHARACTER_SOURCE = /^(?:\[\^?(?:\\.|[^\]\\])+\]|\\[dDwWsS]|\\[^\w]|[^\\^$*+?()[\]{}|])$/;
+
+/**
+ * Checks if a pattern can share the probe of a run of patterns. Single character patterns have no groups or
+ * backreferences, so the alternation of their sources matches a string exactly when one of them does.
+ * @param {RegExp} pattern - Pattern to check
+ * @returns {boolean} True if the pattern is global, not sticky and matches exactly one character
+ */
+const isCombinable = (pattern) => pattern.global && !pattern.sticky && SINGLE_CHARACTER_SOURCE.test(pattern.source);
+
+/**
+ * Compiles sanitization patterns into a matcher giving the same result as applying each pattern, in order, to the
+ * output of the previous one.
+ * Every pattern is tested before it is applied, and consecutive global single character patterns with the same flags
+ * share a probe testing them at once, so that strings none of them match are left without running them one by one.
+ * Strings containing none of the characters a match can start with are skipped without running any pattern.
+ * @param {RegExp[]} patterns - Patterns to compile
+ * @returns {{triggers: RegExp|null, find: Function, replace: Function}} Compiled matcher
+ * @throws {FastifyMongoSanitizeError} If a pattern is not a RegExp
+ */
+const compilePatterns = (patterns) => {
+  let matcher = compiledPatterns.get(patterns);
+  if (matcher) return matcher;
+
+  if (!patterns.every((pattern) => pattern instanceof RegExp)) {
+    throw new FastifyMongoSanitizeError('Invalid configuration: patterns', 'type_error');
+  }
+
+  const segments = [];
+  patterns.forEach((pattern, index) => {
+    // Without the global and sticky flags, test neither reads nor moves lastIndex
+    const member = { pattern, index, probe: new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, '')) };
+    const last = segments[segments.length - 1];
+    if (isCombinable(pattern) && last?.combinable && last.flags === pattern.flags) {
+      last.members.push(member);
+    } else {
+      segments.push({ combinable: isCombinable(pattern), flags: pattern.flags, members: [member] });
+    }
+  });
+
+  for (const segment of segments) {
+    if (segment.members.length === 1) continue;
+    const source = segment.members.map(({ pattern }) => pattern.source).join('|');
+    segment.probe = new RegExp(source, segment.flags.replace('g', ''));
+  }
+
+  const ranges = patterns.map(firstCharacters);
+  const triggers = patterns.length > 0 && ranges.every(Boolean) ? rangesToRegExp(ranges.flat()) : null;
+
+  matcher = {
+    triggers,
+    /**
+     * Returns the indices of the patterns matching a string, each pattern being tested on its own once a match is known
+     * @param {string} str - String to test
+     * @returns {number[]} Pattern indices, in pattern order
+     */
+    find: (str) => {
+      if (triggers && !triggers.test(str)) return [];
+      const found = [];
+      for (const segment of segments) {
+        if (segment.probe && !segment.probe.test(str)) continue;
+        for (const { index, probe } of segment.members) {
+          if (probe.test(str)) found.push(index);
+        }
+      }
+      return found;
+    },
+    /**
+     * Replaces every match in a string
+     * @param {string} str - String to sanitize
+     * @param {string} replaceWith - Replacement, '$' substitutions are supported
+     * @param {boolean} [countMatches=true] - Whether to count the matches of each pattern, which takes one more pass
+     * @returns {{result: string, matched: {patternIndex: number, matches: number|undefined}[]}} Sanitized string and
+     * matched patterns, with their number of matches when counted
+     */
+    replace: (str, replaceWith, countMatches = true) => {
+      const matched = [];
+      if (triggers && !triggers.test(str)) return { result: str, matched };
+
+      let result = str;
+      for (const segment of segments) {
+        // A pattern can only match a replacement of an earlier one, so the rest of a run nothing matches is skipped
+        if (segment.probe && !segment.probe.test(result)) continue;
+        for (const { pattern, index, probe } of segment.members) {
+          if (!probe.test(result)) continue;
+          const matches = countMatches ? (result.match(pattern)?.length ?? 0) : undefined;
+          matched.push({ patternIndex: index, matches });
+          result = result.replace(pattern, replaceWith);
+          if (segment.probe && !segment.probe.test(result)) break;
+        }
+      }
+      return { result, matched };
+    },
+  };
+
+  compiledPatterns.set(patterns, matcher);
+  return matcher;
+};
+
+const compiledPatternRules = new WeakMap();
+
+/**
+ * Regexes of the presets, mapped to their names so that the default PATTERNS are reported by name
+ * @constant {Map<RegExp, string>}
+ */
+const PRESET_NAMES = new Map(Object.values(PATTERN_PRESETS).map(({ name, regex }) => [regex, name]));
+
+/**
+ * Resolves an entry of the patterns option into a named pattern
+ * @param {RegExp|string|Object} entry - RegExp, preset name or { name, regex, appliesTo, action } object
+ * @returns {{name: string, regex: RegExp, appliesTo: string, action: string}} Named pattern
+ * @throws {FastifyMongoSanitizeError} If the entry is invalid or names an unknown preset
+ */
+const resolvePattern = (entry) => {
+  if (entry instanceof RegExp) {
+    return { name: PRESET_NAMES.get(entry) ?? String(entry), regex: entry, appliesTo: 'both', action: 'strip' };
+  }
+  if (isString(entry)) {
+    if (!Object.prototype.hasOwnProperty.call(PATTERN_PRESETS, entry)) {
+      throw new FastifyMongoSanitizeError(`Invalid configuration: unknown pattern ${entry}`, 'type_error');
+    }
+    return PATTERN_PRESETS[entry];
+  }
+
+  const { name, regex, appliesTo = 'both', action = 'strip' } = isPlainObject(entry) ? entry : {};
+  if (
+    !isString(name) ||
+    !(regex instanceof RegExp) ||
+    !['key', 'value', 'both'].includes(appliesTo) ||
+    !['strip', 'remove', 'reject'].includes(action)
+  ) {
+    throw new FastifyMongoSanitizeError('Invalid configuration: patterns', 'type_error');
+  }
+  return { name, regex, appliesTo, action };
+};
+
+/**
+ * Compiles the patterns of a rule set selected by a predicate, reporting matches by their index in the rule set
+ * @param {Object[]} rules - Named patterns
+ * @param {Function} predicate - Selects the patterns of the group
+ * @returns {{empty: boolean, find: Function, replace: Function}} Compiled group
+ */
+const compilePatternGroup = (rules, predicate) => {
+  const indexes = [];
+  rules.forEach((rule, index) => predicate(rule) && indexes.push(index));
+  const matcher = compilePatterns(indexes.map((index) => rules[index].regex));
+
+  // Without patterns of other actions, indices in the group are those of the rule set
+  if (indexes.length === rules.length)
+    return { empty: indexes.length === 0, find: matcher.find, replace: matcher.replace };
+
+  return {
+    empty: indexes.length === 0,
+    find: (str) => matcher.find(str).map((index) => indexes[index]),
+    replace: (str, replaceWith, countMatches) => {
+      const { result, matched } = matcher.replace(str, replaceWith, countMatches);
+      return {
+        result,
+        matched: matched.map(({ patternIndex, matches }) => ({ patternIndex: indexes[patternIndex], matches })),
+      };
+    },
+  };
+};
+
+/**
+ * Compiles the patterns option into named rules and matchers for keys and values, cached per option value.
+ * For each target, 'strip' holds the patterns replaced in strings (those with the 'strip' and 'remove' actions,
+ * the latter being replaced where an entry cannot be dropped), 'remove' those dropping the entry and 'reject'
+ * those aborting the sanitization.
+ * @param {Array<RegExp|string|Object>} patterns - Value of the patterns option
+ * @returns {{rules: Object[], key: Object, value: Object}} Compiled patterns
+ * @throws {FastifyMongoSanitizeError} If an entry is invalid
+ */
+const compilePatternRules = (patterns) => {
+  let compiled = compiledPatternRules.get(patterns);
+  if (compiled) return compiled;
+
+  const rules = patterns.map(resolvePattern);
+  /**
+   * Compiles the groups of patterns applying to keys or values
+   * @param {'key'|'value'} target - Strings the patterns apply to
+   * @returns {{strip: Object, remove: Object, reject: Object}} Compiled groups
+   */
+  const compileTarget = (target) => {
+    const applies = (rule) => rule.appliesTo === 'both' || rule.appliesTo === target;
+    return {
+      strip: compilePatternGroup(rules, (rule) => applies(rule) && rule.action !== 'reject'),
+      remove: compilePatternGroup(rules, (rule) => applies(rule) && rule.action === 'remove'),
+      reject: compilePatternGroup(rules, (rule) => applies(rule) && rule.action === 'reject'),
+    };
+  };
+
+  compiled = { rules, key: compileTarget('key'), value: compileTarget('value') };
+  compiledPatternRules.set(patterns, compiled);
+  return compiled;
+};
+
+/**
+ * Finds the constructs of server-side JavaScript contained in a string
+ * @param {string} str - String to inspect
+ * @returns {string[]} Names of the detected constructs, e.g. ['function', 'sleep']
+ */
+const detectServerSideJs = (str) =>
+  Object.keys(SERVER_SIDE_JS_CONSTRUCTS).filter((name) => SERVER_SIDE_JS_CONSTRUCTS[name].test(str));
+
+/**
+ * Checks if value is a valid typeHandlers entry
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value has a sanitize function and a type constructor or a test function
+ */
+const isTypeHandler = (value) =>
+  isPlainObject(value) && isFunction(value.sanitize) && (isFunction(value.type) || isFunction(value.test));
+
+/**
+ * Checks if value is a valid pipeline step
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value has a name, a run function and, when set, a valid phase and level
+ */
+const isPipelineStep = (value) =>
+  isPlainObject(value) &&
+  isString(value.name) &&
+  value.name.length > 0 &&
+  isFunction(value.run) &&
+  (value.phase === undefined || ['before', 'after'].includes(value.phase)) &&
+  (value.level === undefined || ['key', 'value', 'node'].includes(value.level));
+
+/**
+ * Checks if value is a valid pipeline
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is an array of steps with distinct names
+ */
+const isPipeline = (value) =>
+  isArray(value) && value.every(isPipelineStep) && new Set(value.map((step) => step.name)).size === value.length;
+
+const compiledPipelines = new WeakMap();
+
+/**
+ * Groups the steps of a pipeline by phase and by what they run on, keeping their configured order.
+ * Steps run 'after' the built-in sanitization and on 'value's unless configured otherwise; value steps run on leaves
+ * (strings, numbers, values of registered types...), node steps on leaves, objects, arrays, Maps and Sets.
+ * The result is cached per pipeline array.
+ * @param {Object[]} pipeline - Pipeline steps
+ * @returns {{before: Object, after: Object}} Steps of each phase, as { key, leaf, container } step lists
+ */
+const compilePipeline = (pipeline) => {
+  let compiled = compiledPipelines.get(pipeline);
+  if (compiled) return compiled;
+
+  const group = (phase) => {
+    const steps = pipeline.filter((step) => (step.phase ?? 'after') === phase);
+    return {
+      key: steps.filter((step) => step.level === 'key'),
+      leaf: steps.filter((step) => step.level !== 'key'),
+      container: steps.filter((step) => step.level === 'node'),
+    };
+  };
+
+  compiled = { before: group('before'), after: group('after') };
+  compiledPipelines.set(pipeline, compiled);
+  return compiled;
+};
+
+/**
+ * Checks if value is a valid limits configuration
+ * @param {*} value - Value to check
+ * @returns {boolean} True if every limit is null or a positive integer and the action is 'reject' or 'truncate'
+ */
+const isLimits = (value) =>
+  isPlainObject(value) &&
+  Object.keys(LIMIT_STATUS_CODES).every(
+    (limit) => value[limit] == null || (Number.isInteger(value[limit]) && value[limit] > 0)
+  ) &&
+  (value.action === undefined || ['reject', 'truncate'].includes(value.action));
+
 /**
  * Cleans a URL by removing leading and trailing slashes
  * @param {string} url - URL to clean
@@ -108,20 +1045,166 @@ const cleanUrl = (url) => {
   return trimmed ? '/' + trimmed : null;
 };
 
+/**
+ * Checks if value is a valid skipRoutes entry (string, RegExp or { method, url } object)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a valid skipRoutes entry
+ */
+const isSkipRoute = (value) => {
+  if (isString(value) || value instanceof RegExp) return true;
+  if (!isPlainObject(value) || !(isString(value.url) || value.url instanceof RegExp)) return false;
+  return value.method == null || [].concat(value.method).every(isString);
+};
+
+/**
+ * Converts a cleaned URL containing '*' wildcards into an anchored RegExp
+ * @param {string} url - Cleaned URL, '*' matches any sequence of characters
+ * @returns {RegExp} Compiled pattern
+ */
+const wildcardToRegExp = (url) => new RegExp(`^${url.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+
+/**
+ * Compiles the skipRoutes option into a matcher
+ * Plain strings are normalized with cleanUrl and matched against the route template and the request path,
+ * wildcard strings and RegExp entries against the route template. Decisions per method and route template are cached.
+ * @param {Array<string|RegExp|{method?: string|string[], url: string|RegExp}>} skipRoutes - Routes to skip
+ * @returns {Function} Matcher taking (method, routeUrl, requestUrl) and returning true if the request must be skipped
+ */
+const compileSkipRoutes = (skipRoutes) => {
+  if (!skipRoutes || !skipRoutes.length) return () => false;
+
+  const exact = new Map();
+  const patterns = [];
+
+  for (const entry of skipRoutes) {
+    const { method, url } = isPlainObject(entry) ? entry : { url: entry };
+    const methods = method == null ? null : new Set([].concat(method).map((name) => name.toUpperCase()));
+
+    if (url instanceof RegExp) {
+      patterns.push({ regex: url, methods });
+    } else if (url.includes('*')) {
+      patterns.push({ regex: wildcardToRegExp(cleanUrl(url)), methods });
+    } else {
+      const key = cleanUrl(url);
+      const existing = exact.get(key);
+      exact.set(key, existing === null || methods === null ? null : new Set([...(existing || []), ...methods]));
+    }
+  }
+
+  const allowsMethod = (methods, method) => methods === null || methods.has(method);
+  const matchesExact = (url, method) => exact.has(url) && allowsMethod(exact.get(url), method);
+  const routeCache = new Map();
+
+  return (method, routeUrl, requestUrl) => {
+    if (routeUrl) {
+      const cacheKey = `${method} ${routeUrl}`;
+      let skipped = routeCache.get(cacheKey);
+      if (skipped === undefined) {
+        const template = cleanUrl(routeUrl);
+        skipped =
+          matchesExact(template, method) ||
+          patterns.some(({ regex, methods }) => allowsMethod(methods, method) && regex.test(template || '/'));
+        routeCache.set(cacheKey, skipped);
+      }
+      if (skipped) return true;
+    }
+
+    return exact.size > 0 && matchesExact(cleanUrl(requestUrl), method);
+  };
+};
+
+/**
+ * Assigns an own enumerable property without triggering setters, so '__proto__' can never replace the prototype
+ * @param {Object} obj - Target object
+ * @param {string} key - Property key
+ * @param {*} value - Property value
+ * @returns {Object} Target object
+ */
+const safeAssign = (obj, key, value) => {
+  if (key === '__proto__') {
+    return Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+  }
+  obj[key] = value;
+  return obj;
+};
+
+/**
+ * Deep copies object literals, arrays, Maps, Sets and Dates without recursion, keeping cycles and shared references.
+ * Class instances (streams, BSON values, buffers...) are not copied.
+ * @param {*} value - Value to copy
+ * @returns {*} Deep copy of the value
+ */
+const deepClone = (value) => {
+  const clones = new WeakMap();
+  const pending = [];
+
+  const copy = (source) => {
+    if (isDate(source)) return new Date(source.getTime());
+    // Literals, including null-prototype dictionaries such as parsed query strings
+    const prototype = isPlainObject(source) ? Object.getPrototypeOf(source) : undefined;
+    const isLiteral = prototype === null || (!!prototype && Object.getPrototypeOf(prototype) === null);
+    if (!isLiteral && !isArray(source) && !isMap(source) && !isSet(source)) return source;
+    if (clones.has(source)) return clones.get(source);
+
+    const target = isArray(source)
+      ? []
+      : isMap(source)
+        ? new Map()
+        : isSet(source)
+          ? new Set()
+          : Object.create(prototype);
+    clones.set(source, target);
+    pending.push([source, target]);
+    return target;
+  };
+
+  const root = copy(value);
+  while (pending.length > 0) {
+    const [source, target] = pending.pop();
+    if (isMap(source)) source.forEach((item, key) => target.set(key, copy(item)));
+    else if (isSet(source)) source.forEach((item) => target.add(copy(item)));
+    else for (const key of Object.keys(source)) safeAssign(target, key, copy(source[key]));
+  }
+  return root;
+};
+
+/**
+ * Appends a key or array index to a dotted path
+ * @param {string} base - Current path
+ * @param {string|number} key - Object key or array index
+ * @returns {string} Joined path (e.g. 'body.items[0].name')
+ */
+const joinPath = (base, key) => {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : String(key);
+};
+
 /**
  * Validators for plugin options
  * @constant {Object}
  * @property {Function} replaceWith - Validates that replaceWith is a string
+ * @property {Function} strategy - Validates that strategy is either 'aggressive' or 'operators'
  * @property {Function} removeMatches - Validates that removeMatches is a primitive (boolean or null)
+ * @property {Function} removeKeyMatches - Validates that removeKeyMatches is null, a boolean or a match policy
+ * @property {Function} removeValueMatches - Validates that removeValueMatches is null, a boolean or a match policy
  * @property {Function} sanitizeObjects - Validates that sanitizeObjects is an array
+ * @property {Function} hook - Validates that hook is either 'onRequest', 'preValidation' or 'preHandler'
  * @property {Function} mode - Validates that mode is either 'auto' or 'manual'
- * @property {Function} skipRoutes - Validates that skipRoutes is an array
+ * @property {Function} onViolation - Validates that onViolation is either 'sanitize', 'reject' or 'report'
+ * @property {Function} rejectStatusCode - Validates that rejectStatusCode is an HTTP error status code
+ * @property {Function} skipRoutes - Validates that skipRoutes is an array of strings, RegExps or { method, url } objects
  * @property {Function} customSanitizer - Validates that customSanitizer is either null or a function
+ * @property {Function} pipeline - Validates that pipeline is an array of steps with distinct names
+ * @property {Function} useRouteSchema - Validates that useRouteSchema is a primitive (boolean or null)
  * @property {Function} recursive - Validates that recursive is a primitive (boolean or null)
  * @property {Function} removeEmpty - Validates that removeEmpty is a primitive (boolean or null)
- * @property {Function} patterns - Validates that patterns is an array
- * @property {Function} allowedKeys - Validates that allowedKeys is either null or an array
- * @property {Function} deniedKeys - Validates that deniedKeys is either null or an array
+ * @property {Function} patterns - Validates that patterns is an array of RegExps, preset names or named patterns
+ * @property {Function} prototypePollution - Validates that prototypePollution is either 'remove', 'reject' or false
+ * @property {Function} serverSideJs - Validates that serverSideJs is either false, 'reject' or 'report'
+ * @property {Function} exemptions - Validates that exemptions is a list of known exemptions or predicates, or a map of them
+ * @property {Function} allowedOperators - Validates that allowedOperators is either null or a valid operator list or map
+ * @property {Function} allowedKeys - Validates that allowedKeys is either null or an array of key path expressions
+ * @property {Function} deniedKeys - Validates that deniedKeys is either null or an array of key path expressions
  * @property {Function} stringOptions - Validates that stringOptions is a plain object
  * @property {Function} arrayOptions - Validates that arrayOptions is a plain object
  * @property {Function} debug - Validates that debug is a plain object with expected properties
@@ -129,17 +1212,34 @@ const cleanUrl = (url) => {
  */
 const validators = Object.freeze({
   replaceWith: isString,
+  strategy: (value) => ['aggressive', 'operators'].includes(value),
   removeMatches: isPrimitive,
+  removeKeyMatches: isMatchPolicy,
+  removeValueMatches: isMatchPolicy,
   sanitizeObjects: isArray,
+  allowedHeaders: (value) => isArray(value) && value.every(isString),
+  hook: (value) => ['onRequest', 'preValidation', 'preHandler'].includes(value),
   mode: (value) => ['auto', 'manual'].includes(value),
-  skipRoutes: isArray,
+  onViolation: (value) => ['sanitize', 'reject', 'report'].includes(value),
+  rejectStatusCode: (value) => Number.isInteger(value) && value >= 400 && value <= 599,
+  skipRoutes: (value) => isArray(value) && value.every(isSkipRoute),
   customSanitizer: (value) => value === null || isFunction(value),
+  pipeline: isPipeline,
+  useRouteSchema: isPrimitive,
   recursive: isPrimitive,
   removeEmpty: isPrimitive,
-  patterns: isArray,
-  allowedKeys: (value) => value === null || isArray(value),
-  deniedKeys: (value) => value === null || isArray(value),
+  inPlace: isPrimitive,
+  preserveOriginal: isPrimitive,
+  patterns: (value) => isArray(value) && !!compilePatternRules(value),
+  prototypePollution: (value) => ['remove', 'reject', false].includes(value),
+  serverSideJs: (value) => [false, 'reject', 'report'].includes(value),
+  exemptions: (value) => !!compileExemptions(value),
+  allowedOperators: (value) => value === null || !!compileAllowedOperators(value),
+  allowedKeys: isKeyPathList,
+  deniedKeys: isKeyPathList,
   stringOptions: isPlainObject,
+  limits: isLimits,
+  typeHandlers: (value) => isArray(value) && value.every(isTypeHandler),
   arrayOptions: isPlainObject,
   debug: isPlainObject,
 });
@@ -159,6 +1259,7 @@ const validateOptions = (options) => {
 
 module.exports = {
   log,
+  bindLogger,
   startTiming,
   isEmail,
   isString,
@@ -167,6 +1268,29 @@ module.exports = {
   isPrimitive,
   isDate,
   isFunction,
+  isThenable,
+  isMap,
+  isSet,
+  isBinary,
+  isBsonValue,
+  isMultipartPart,
   cleanUrl,
+  compileSkipRoutes,
+  joinPath,
+  safeAssign,
+  deepClone,
+  EXEMPTIONS,
+  compileExemptions,
+  compileAllowedOperators,
+  isAllowedOperator,
+  hasOperatorShape,
+  compileRouteSchema,
+  schemaPropertyRule,
+  schemaItemRule,
+  compileKeyPaths,
+  compilePatterns,
+  compilePatternRules,
+  detectServerSideJs,
+  compilePipeline,
   validateOptions,
 };
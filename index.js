@@ -5,49 +5,581 @@ const {
   isString,
   isArray,
   isPlainObject,
-  isPrimitive,
-  isDate,
-  isEmail,
-  cleanUrl,
+  isMap,
+  isSet,
+  isBinary,
+  isBsonValue,
+  isMultipartPart,
+  isFunction,
+  isThenable,
+  compileSkipRoutes,
+  joinPath,
+  safeAssign,
+  deepClone,
+  EXEMPTIONS,
+  compileExemptions,
+  isAllowedOperator,
+  hasOperatorShape,
+  compileRouteSchema,
+  schemaPropertyRule,
+  schemaItemRule,
+  compileKeyPaths,
+  compilePatternRules,
+  detectServerSideJs,
+  compilePipeline,
   startTiming,
   log,
+  bindLogger,
   validateOptions,
 } = require('./helpers');
 const FastifyMongoSanitizeError = require('./FastifyMongoSanitizeError');
-const { DEFAULT_OPTIONS } = require('./constants');
+const {
+  DEFAULT_OPTIONS,
+  OPERATOR_PATTERNS,
+  OPERATOR_PATTERN_NAMES,
+  PROTOTYPE_KEYS,
+  DANGEROUS_OPERATORS,
+  PLUGIN_ONLY_OPTIONS,
+  LIMIT_STATUS_CODES,
+  ALLOWED_HEADERS,
+  PATTERN_PRESETS,
+} = require('./constants');
+
+const kSanitizedParts = Symbol('fastify-mongo-sanitize.sanitizedParts');
+const kRemoved = Symbol('fastify-mongo-sanitize.removed');
+
+/**
+ * Records a report entry in the sanitization context
+ * @param {Object|null} context - Sanitization context holding the current path and collected entries
+ * @param {Object} entry - Entry details
+ * @param {'key'|'value'} entry.target - Whether the entry concerns the key or the value
+ * @param {*} entry.original - Original key or value
+ * @param {*} [entry.sanitized] - Sanitized key or value, omitted when removed or truncated
+ * @param {number[]} [entry.patterns=[]] - Indices of the matched entries in options.patterns
+ * @param {string[]} [entry.patternNames=[]] - Names of the matched patterns, in the same order
+ * @param {string|null} [entry.reason=null] - Option that caused the removal or truncation
+ * @param {'sanitized'|'removed'|'truncated'|'detected'} [entry.action] - Defaults to 'removed' with a reason,
+ * 'sanitized' otherwise
+ * @param {string|null} [entry.step=null] - Name of the pipeline step that made the change
+ * @param {string[]|null} [entry.constructs=null] - Server-side JavaScript constructs detected in the value
+ */
+const recordEntry = (
+  context,
+  {
+    target,
+    original,
+    sanitized,
+    patterns = [],
+    patternNames = [],
+    reason = null,
+    action = reason ? 'removed' : 'sanitized',
+    step = null,
+    constructs = null,
+  }
+) => {
+  if (!context?.entries) return;
+  const entry = { path: context.path, target, original, patterns, action, reason };
+  if (patterns.length > 0) entry.patternNames = patternNames;
+  if (action === 'sanitized') entry.sanitized = sanitized;
+  if (step) entry.step = step;
+  if (constructs) entry.constructs = constructs;
+  context.entries.push(entry);
+};
+
+/**
+ * Checks if a report entry is a violation, i.e. a pattern matched, a prototype key was removed or server-side
+ * JavaScript was detected
+ * @param {Object} entry - Report entry
+ * @returns {boolean} True if the entry is a violation
+ */
+const isViolation = (entry) =>
+  entry.patterns.length > 0 || entry.reason === 'prototypePollution' || entry.reason === 'serverSideJs';
+
+/**
+ * Handles a '__proto__', 'constructor' or 'prototype' key according to options.prototypePollution
+ * @param {string} key - Original key
+ * @param {Object} options - Sanitization options
+ * @param {Object} context - Sanitization context of the key
+ * @throws {FastifyMongoSanitizeError} If prototypePollution is 'reject'
+ */
+const blockPrototypeKey = (key, options, context) => {
+  const { prototypePollution, rejectStatusCode, debug } = options;
+  log(debug, 'warn', 'PROTOTYPE', `Prototype pollution attempt with key '${key}'`, { path: context.path });
+
+  if (prototypePollution === 'reject') {
+    throw new FastifyMongoSanitizeError(`Prototype pollution attempt at: ${context.path}`, 'prototype_pollution', {
+      statusCode: rejectStatusCode,
+    });
+  }
+
+  recordEntry(context, { target: 'key', original: key, reason: 'prototypePollution' });
+};
+
+/**
+ * Handles an exceeded limit according to options.limits.action
+ * @param {string} limit - Name of the exceeded limit, e.g. 'maxDepth'
+ * @param {Object} options - Sanitization options
+ * @param {Object|null} context - Sanitization context of the offending value
+ * @param {*} original - Offending value
+ * @param {'removed'|'truncated'} action - Whether the value is dropped or shortened when truncating
+ * @throws {FastifyMongoSanitizeError} If limits.action is 'reject'
+ */
+const exceedLimit = (limit, options, context, original, action) => {
+  const { limits, debug } = options;
+  const path = context?.path ?? '';
+  log(debug, 'warn', 'LIMIT', `Limit ${limit} of ${limits[limit]} exceeded`, { path, limit });
+
+  if (limits.action !== 'truncate') {
+    throw new FastifyMongoSanitizeError(
+      `Limit exceeded: ${limit} of ${limits[limit]}${path ? ` at: ${path}` : ''}`,
+      'limit_exceeded',
+      { statusCode: LIMIT_STATUS_CODES[limit] }
+    );
+  }
+
+  recordEntry(context, { target: 'value', original, reason: 'limits', action });
+};
+
+/**
+ * Returns the typeHandlers entry responsible for a value
+ * @param {Object[]} typeHandlers - typeHandlers option
+ * @param {*} value - Value to check
+ * @returns {Object|undefined} First handler whose type or test matches the value
+ */
+const findTypeHandler = (typeHandlers, value) =>
+  typeHandlers.length > 0 && value !== null && typeof value === 'object'
+    ? typeHandlers.find(({ type, test }) => (type ? value instanceof type : test(value)))
+    : undefined;
+
+/**
+ * Returns the kind of container a value is, i.e. whether its children are walked by the traversal
+ * @param {*} value - Value to check
+ * @param {Object} options - Sanitization options
+ * @returns {'array'|'set'|'map'|'object'|null} Container kind, or null for values sanitized as a whole
+ */
+const containerKind = (value, options) => {
+  if (value === null || typeof value !== 'object' || findTypeHandler(options.typeHandlers, value)) return null;
+  if (isArray(value)) return 'array';
+  if (isSet(value)) return 'set';
+  if (isMap(value)) return 'map';
+  if (isBsonValue(value)) return null;
+  return isPlainObject(value) ? 'object' : null;
+};
+
+/**
+ * Counts a nested value against limits.maxTotalNodes and checks containers against limits.maxDepth
+ * @param {*} value - Nested value about to be sanitized
+ * @param {Object} options - Sanitization options
+ * @param {Object} context - Sanitization context of the value
+ * @returns {boolean} True if the value may be sanitized, false if it is dropped
+ * @throws {FastifyMongoSanitizeError} If a limit is exceeded and limits.action is 'reject'
+ */
+const admitNode = (value, options, context) => {
+  const { maxDepth, maxTotalNodes } = options.limits;
+  const { nodes } = context;
+
+  if (maxTotalNodes != null && nodes) {
+    if (nodes.exhausted) return false;
+    if (++nodes.count > maxTotalNodes) {
+      nodes.exhausted = true;
+      exceedLimit('maxTotalNodes', options, context, value, 'removed');
+      return false;
+    }
+  }
+
+  if (maxDepth != null && context.depth > maxDepth && containerKind(value, options)) {
+    exceedLimit('maxDepth', options, context, value, 'removed');
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Creates a child context for a nested key or array index. A context is created for every key and item, so they are
+ * built field by field with a fixed shape rather than by spreading the parent. The context of a key is also the
+ * context of its value.
+ * @param {Object|null} context - Parent sanitization context
+ * @param {string|number} key - Object key or array index
+ * @param {Object|null} [schema] - Route schema rule of the child, the parent's by default
+ * @param {{allowStates: number[]|null, denyStates: number[]|null}|null} [states=null] - allowedKeys/deniedKeys matcher
+ * states of the child, see stepKeyPaths, the parent's by default
+ * @returns {Object} Child context
+ */
+const childContext = (context, key, schema = context?.schema ?? null, states = null) => ({
+  path: joinPath(context ? context.path : '', key),
+  root: context?.root ?? '',
+  key,
+  request: context?.request ?? null,
+  schema,
+  entries: context?.entries ?? null,
+  depth: (context?.depth ?? 1) + 1,
+  nodes: context?.nodes ?? null,
+  compiled: context?.compiled ?? null,
+  allowStates: states ? states.allowStates : (context?.allowStates ?? null),
+  denyStates: states ? states.denyStates : (context?.denyStates ?? null),
+});
+
+/**
+ * Advances the allowedKeys/deniedKeys path matchers of a context by one key or array item
+ * @param {Object|null} context - Parent sanitization context
+ * @param {Object} compiled - Compiled options, see compileOptions
+ * @param {string} segment - Object key, or '[]' for array items
+ * @returns {{allowStates: number[]|null, denyStates: number[]|null}|null} Matcher states for the child, null without
+ * allowedKeys and deniedKeys
+ */
+const stepKeyPaths = (context, { allowMatcher, denyMatcher }, segment) => {
+  if (!allowMatcher && !denyMatcher) return null;
+  return {
+    allowStates: allowMatcher && allowMatcher.step(context?.allowStates ?? allowMatcher.start, segment),
+    denyStates: denyMatcher && denyMatcher.step(context?.denyStates ?? denyMatcher.start, segment),
+  };
+};
+
+/**
+ * Returns the path of the context relative to the sanitized request property
+ * @param {Object|null} context - Sanitization context
+ * @returns {string} Relative path, empty at the root
+ */
+const relativePath = (context) => {
+  if (!context?.root) return context?.path ?? '';
+  if (context.path === context.root) return '';
+  const { path, root } = context;
+  return path[root.length] === '.' ? path.slice(root.length + 1) : path.slice(root.length);
+};
+
+/**
+ * Returns the strategy applying under a route schema rule: fields governed by a rule get the 'operators' strategy
+ * @param {Object} options - Sanitization options
+ * @param {Object|null|undefined} schema - Route schema rule, usually the one of a sanitization context
+ * @returns {'aggressive'|'operators'} Strategy
+ */
+const effectiveStrategy = (options, schema) => (schema?.treatment ? 'operators' : options.strategy);
+
+/**
+ * Checks if a string value matches an exemption enabled for every value or for its path
+ * @param {string} str - String value
+ * @param {Object} options - Sanitization options
+ * @param {Object|null} context - Sanitization context of the value
+ * @returns {boolean} True if the value must be left untouched
+ */
+const isExemptValue = (str, options, context) => {
+  const { exemptions } = compiledOptionsOf(options, context);
+  if (!exemptions) return false;
+  for (const test of exemptions.any) {
+    if (test(str)) return true;
+  }
+  if (exemptions.paths.size === 0) return false;
+
+  const path = relativePath(context).replace(/\[\d+\]/g, '[]');
+  return !!exemptions.paths.get(path)?.some((test) => test(str));
+};
+
+/**
+ * Checks if a key is an operator allowed by the 'filter' rule of a route schema
+ * @param {Object|null} rule - Route schema rule of the object holding the key
+ * @param {string} key - Object key
+ * @param {*} value - Value of the key
+ * @returns {boolean} True if the operator must be preserved
+ */
+const isFilterOperator = (rule, key, value) =>
+  rule?.treatment === 'filter' &&
+  key.startsWith('$') &&
+  !DANGEROUS_OPERATORS.includes(key) &&
+  (!rule.operators || rule.operators.has(key)) &&
+  hasOperatorShape(key, value);
+
+/**
+ * Returns the indices of the patterns matching a string
+ * @param {string} str - String to test
+ * @param {RegExp[]} patterns - Patterns to test against
+ * @returns {number[]} Indices of the matching patterns
+ */
+const matchingPatterns = (str, patterns) =>
+  patterns.reduce((acc, pattern, index) => {
+    // search ignores lastIndex, unlike test on global patterns
+    if (str.search(pattern) !== -1) acc.push(index);
+    return acc;
+  }, []);
+
+/**
+ * Returns the names of the patterns at the given indices of options.patterns
+ * @param {Object} compiled - Compiled options, see compileOptions
+ * @param {number[]} indexes - Indices of the patterns
+ * @returns {string[]} Pattern names
+ */
+const getPatternNames = ({ patternNames }, indexes) => indexes.map((index) => patternNames[index]);
+
+/**
+ * Aborts the sanitization because a key or value matched patterns that must not be accepted. With
+ * onViolation 'report', the match is recorded as a 'detected' violation instead and the sanitization goes on.
+ * @param {Object} match - Rejected match
+ * @param {'key'|'value'} match.target - Whether the key or the value matched
+ * @param {string} match.original - Matched key or value
+ * @param {number[]} match.patterns - Indices of the matched entries in options.patterns
+ * @param {string[]} match.patternNames - Names of the matched patterns
+ * @param {string} match.reason - 'pattern' for patterns whose action is 'reject', or the policy option
+ * @param {Object} options - Sanitization options
+ * @param {Object|null} context - Sanitization context of the key or value
+ * @throws {FastifyMongoSanitizeError} Unless onViolation is 'report'
+ */
+const rejectMatch = (match, options, context) => {
+  const path = context?.path ?? '';
+  const [name] = match.patternNames;
+  log(options.debug, 'warn', 'PATTERN', `Rejected pattern '${name}' matched`, { path, patterns: match.patternNames });
+  if (options.onViolation === 'report') {
+    // Object values are checked before the removal policies and again when sanitized, entries of a path are contiguous
+    const entries = context?.entries ?? [];
+    for (let i = entries.length - 1; i >= 0 && entries[i].path === path; i--) {
+      const { action, target, original, reason } = entries[i];
+      if (action === 'detected' && target === match.target && original === match.original && reason === match.reason) {
+        return;
+      }
+    }
+    recordEntry(context, { ...match, action: 'detected' });
+    return;
+  }
+  throw new FastifyMongoSanitizeError(`Pattern '${name}' matched at: ${path}`, 'injection_detected', {
+    statusCode: options.rejectStatusCode,
+  });
+};
+
+/**
+ * Aborts the sanitization if a string matches a pattern whose action is 'reject'
+ * @param {string} str - Key or value to test
+ * @param {'key'|'value'} target - Whether str is a key or a value
+ * @param {Object} options - Sanitization options
+ * @param {Object|null} context - Sanitization context of the string
+ * @throws {FastifyMongoSanitizeError} If a 'reject' pattern matches, unless onViolation is 'report'
+ */
+const rejectByPattern = (str, target, options, context) => {
+  const compiled = compiledOptionsOf(options, context);
+  const group = (target === 'key' ? compiled.key : compiled.value).reject;
+  if (!group) return;
+
+  const patterns = group.find(str);
+  if (patterns.length === 0) return;
+  const patternNames = getPatternNames(compiled, patterns);
+  rejectMatch({ target, original: str, patterns, patternNames, reason: 'pattern' }, options, context);
+};
+
+/**
+ * Resolves what happens to keys or values matching a pattern, from removeKeyMatches/removeValueMatches and then
+ * removeMatches
+ * @param {Object} options - Sanitization options
+ * @param {'key'|'value'} target - Whether the policy applies to keys or values
+ * @returns {{policy: 'strip'|'remove'|'nullify'|'reject', reason: string}} Policy and the option it comes from
+ */
+const matchPolicy = (options, target) => {
+  const reason = target === 'key' ? 'removeKeyMatches' : 'removeValueMatches';
+  const policy = options[reason];
+  if (policy == null) return { policy: options.removeMatches ? 'remove' : 'strip', reason: 'removeMatches' };
+  if (isString(policy)) return { policy, reason };
+  return { policy: policy ? 'remove' : 'strip', reason };
+};
+
+const compiledOptions = new WeakMap();
+
+/**
+ * Compiles what the traversal looks up for every key and string once per options object: the pattern groups and
+ * match policy of keys and values, the exemptions, the key path matchers and the pipeline. The root context holds the
+ * result and its children inherit it.
+ * @param {Object} options - Validated sanitization options
+ * @returns {Object} Compiled options. Groups, exemptions and the pipeline are null when there is nothing to apply.
+ */
+const compileOptions = (options) => {
+  let compiled = compiledOptions.get(options);
+  if (compiled) return compiled;
+
+  const { rules, ...groups } = compilePatternRules(options.patterns);
+  const exemptions = compileExemptions(options.exemptions);
+  /**
+   * Resolves the groups and the match policy of keys or values
+   * @param {'key'|'value'} target - Strings the groups apply to
+   * @returns {Object} Strip, reject and policy groups, with the policy and the option it comes from
+   */
+  const compileTarget = (target) => {
+    const { strip, remove, reject } = groups[target];
+    const { policy, reason } = matchPolicy(options, target);
+    // With the 'strip' policy, only patterns whose action is 'remove' drop the entry
+    const policyGroup = policy === 'strip' ? remove : strip;
+    return {
+      strip,
+      reject: reject.empty ? null : reject,
+      policy,
+      reason,
+      policyGroup: policyGroup.empty ? null : policyGroup,
+    };
+  };
+
+  compiled = {
+    patternNames: rules.map(({ name }) => name),
+    key: compileTarget('key'),
+    value: compileTarget('value'),
+    exemptions: exemptions.any.length > 0 || exemptions.paths.size > 0 ? exemptions : null,
+    allowMatcher: compileKeyPaths(options.allowedKeys),
+    denyMatcher: compileKeyPaths(options.deniedKeys),
+    pipeline: options.pipeline.length > 0 ? compilePipeline(options.pipeline) : null,
+  };
+  compiledOptions.set(options, compiled);
+  return compiled;
+};
+
+/**
+ * Returns the compiled options a context inherited from its root, compiling them for values sanitized without one
+ * @param {Object} options - Sanitization options
+ * @param {Object|null} context - Sanitization context
+ * @returns {Object} Compiled options, see compileOptions
+ */
+const compiledOptionsOf = (options, context) => context?.compiled ?? compileOptions(options);
+
+/**
+ * Finds the patterns of a key or value that trigger the removeKeyMatches/removeValueMatches policy. With the 'strip'
+ * policy, only patterns whose action is 'remove' do, and they drop the entry.
+ * @param {string} str - Key or value to test
+ * @param {'key'|'value'} target - Whether str is a key or a value
+ * @param {Object} options - Sanitization options
+ * @param {Object|null} context - Sanitization context of the string
+ * @returns {{policy: 'remove'|'nullify', reason: string, patterns: number[], patternNames: string[]}|null} Match
+ * @throws {FastifyMongoSanitizeError} If a pattern matches and the policy is 'reject', unless onViolation is 'report'
+ */
+const findPolicyMatch = (str, target, options, context) => {
+  const compiled = compiledOptionsOf(options, context);
+  const { policy, reason, policyGroup: group } = target === 'key' ? compiled.key : compiled.value;
+  if (!group) return null;
+
+  const patterns = group.find(str);
+  if (patterns.length === 0) return null;
+
+  const patternNames = getPatternNames(compiled, patterns);
+  if (policy === 'reject') {
+    // In report mode the match is recorded and the key or value is left to the character rules
+    rejectMatch({ target, original: str, patterns, patternNames, reason }, options, context);
+    return null;
+  }
+  return policy === 'strip'
+    ? { policy: 'remove', reason: 'pattern', patterns, patternNames }
+    : { policy, reason, patterns, patternNames };
+};
+
+/**
+ * Records a key or value that matched a pattern, removed or replaced by null according to its policy
+ * @param {Object} context - Sanitization context of the entry
+ * @param {'key'|'value'} target - Whether the key or the value matched
+ * @param {string} original - Matched key or value
+ * @param {Object} match - Match returned by findPolicyMatch
+ */
+const recordPolicyMatch = (context, target, original, { policy, reason, patterns, patternNames }) => {
+  const action = policy === 'nullify' ? 'sanitized' : 'removed';
+  recordEntry(context, { target, original, sanitized: null, patterns, patternNames, reason, action });
+};
+
+/**
+ * Looks for server-side JavaScript in a string value according to options.serverSideJs
+ * @param {string} str - String value to inspect
+ * @param {Object} options - Sanitization options
+ * @param {Object|null} context - Sanitization context of the value
+ * @throws {FastifyMongoSanitizeError} If JavaScript is detected and serverSideJs is 'reject', unless onViolation is
+ * 'report'
+ */
+const inspectServerSideJs = (str, { serverSideJs, onViolation, rejectStatusCode, debug }, context) => {
+  const constructs = detectServerSideJs(str);
+  if (constructs.length === 0) return;
+
+  const path = context?.path ?? '';
+  log(debug, 'warn', 'JAVASCRIPT', `Server-side JavaScript detected: ${constructs.join(', ')}`, { path, constructs });
+
+  if (serverSideJs === 'reject' && onViolation !== 'report') {
+    throw new FastifyMongoSanitizeError(`Server-side JavaScript detected at: ${path}`, 'injection_detected', {
+      statusCode: rejectStatusCode,
+    });
+  }
+
+  recordEntry(context, { target: 'value', original: str, action: 'detected', reason: 'serverSideJs', constructs });
+};
 
 /**
  * Sanitizes a string value according to provided options
  * @param {string} str - String to sanitize
  * @param {Object} options - Sanitization options
  * @param {boolean} isValue - Whether string is a value or key
+ * @param {Object|null} [context=null] - Sanitization context
+ * @param {'key'|'value'} [target='value'] - Whether str is the key or the value of its context
+ * @param {Object|null} [schema] - Route schema rule applying to str, the context's by default. Keys follow the rule
+ * of the object holding them.
  * @returns {string} Sanitized string
  */
-const sanitizeString = (str, options, isValue = false) => {
-  if (!isString(str) || isEmail(str)) {
-    log(options.debug, 'trace', 'STRING', `Skipping sanitization (not string or is email): ${typeof str}`);
+const sanitizeString = (str, options, isValue = false, context = null, target = 'value', schema = context?.schema) => {
+  if (!isString(str)) {
+    log(options.debug, 'trace', 'STRING', `Skipping sanitization (not string): ${typeof str}`);
+    return str;
+  }
+
+  const { replaceWith, stringOptions, limits, debug } = options;
+  const isKey = target === 'key';
+
+  // Exemptions only skip the character rules: a value with an exempt shape may still carry server-side JavaScript
+  if (!isKey && options.serverSideJs) inspectServerSideJs(str, options, context);
+
+  if (schema?.treatment === 'exempt') {
+    log(debug, 'trace', 'STRING', 'Skipping sanitization of a value exempt by the route schema', {
+      path: context?.path,
+    });
     return str;
   }
 
-  const { replaceWith, patterns, stringOptions, debug } = options;
+  const strategy = effectiveStrategy(options, schema);
+  const compiled = compiledOptionsOf(options, context);
   const originalStr = str;
-  let matchedPatterns = [];
 
-  let result = patterns.reduce((acc, pattern, index) => {
-    const matches = acc.match(pattern);
-    if (matches) {
-      matchedPatterns.push({ patternIndex: index, matches: matches.length });
-      log(debug, 'debug', 'STRING', `Pattern ${index} matched ${matches.length} times in string`);
+  if (limits.maxStringLength != null && !isKey && str.length > limits.maxStringLength) {
+    exceedLimit('maxStringLength', options, context, str, 'truncated');
+    str = str.slice(0, limits.maxStringLength);
+  }
+
+  if (!isKey && isExemptValue(str, options, context)) {
+    log(debug, 'trace', 'STRING', 'Skipping sanitization of exempt value', { path: context?.path });
+    return str;
+  }
+
+  if (strategy !== 'operators') rejectByPattern(str, target, options, context);
+
+  let { result, matched: matchedPatterns } =
+    strategy === 'operators'
+      ? { result: str, matched: [] }
+      : (isKey ? compiled.key : compiled.value).strip.replace(str, replaceWith, debug.enabled);
+
+  // Messages are only built when logging
+  if (debug.enabled) {
+    for (const { patternIndex, matches } of matchedPatterns) {
+      const patternName = compiled.patternNames[patternIndex];
+      log(debug, 'debug', 'STRING', `Pattern '${patternName}' matched ${matches} times in string`, {
+        path: context?.path,
+        patternIndex,
+        patternName,
+        matches,
+      });
     }
-    return acc.replace(pattern, replaceWith);
-  }, str);
+  }
 
   if (stringOptions.trim) result = result.trim();
   if (stringOptions.lowercase) result = result.toLowerCase();
   if (stringOptions.maxLength && isValue) result = result.slice(0, stringOptions.maxLength);
 
+  if (matchedPatterns.length > 0) {
+    const indexes = matchedPatterns.map(({ patternIndex }) => patternIndex);
+    recordEntry(context, {
+      target,
+      original: originalStr,
+      sanitized: result,
+      patterns: indexes,
+      patternNames: getPatternNames(compiled, indexes),
+    });
+  }
+
   if (debug.logSanitizedValues && originalStr !== result) {
     log(debug, 'debug', 'STRING', 'String sanitized', {
+      path: context?.path,
       original: originalStr,
       sanitized: result,
       matchedPatterns,
@@ -55,199 +587,1080 @@ const sanitizeString = (str, options, isValue = false) => {
   }
 
   if (debug.logPatternMatches && matchedPatterns.length > 0) {
-    log(debug, 'info', 'PATTERN', `Patterns matched in string`, matchedPatterns);
+    log(debug, 'info', 'PATTERN', `Patterns matched in string`, { path: context?.path, matchedPatterns });
   }
 
   return result;
 };
 
 /**
- * Sanitizes an array according to provided options
- * @param {Array} arr - Array to sanitize
+ * Keeps the items of an array matching a predicate, in place so that references to the array stay valid
+ * @param {Array} arr - Array to filter
+ * @param {Function} predicate - Returns true for the items to keep
+ * @returns {number} Number of removed items
+ */
+const retainInPlace = (arr, predicate) => {
+  let length = 0;
+  for (const item of arr) {
+    if (predicate(item)) arr[length++] = item;
+  }
+  const removed = arr.length - length;
+  arr.length = length;
+  return removed;
+};
+
+/**
+ * Sanitizes a value whose children are not walked by the traversal. Strings are sanitized, values of a registered
+ * type are passed to their handler, BSON values, binary data and anything else are returned as is.
+ * @param {*} value - Value to sanitize
  * @param {Object} options - Sanitization options
- * @returns {Array} Sanitized array
- * @throws {FastifyMongoSanitizeError} If input is not an array
+ * @param {boolean} [isValue=false] - Whether value is a value or key
+ * @param {Object|null} [context=null] - Sanitization context
+ * @returns {*} Sanitized value
  */
-const sanitizeArray = (arr, options) => {
-  if (!isArray(arr)) {
-    const error = new FastifyMongoSanitizeError('Input must be an array', 'type_error');
-    log(options.debug, 'error', 'ARRAY', `Sanitization failed: ${error.message}`);
-    throw error;
+const sanitizeLeaf = (value, options, isValue, context = null) => {
+  if (isString(value)) return sanitizeString(value, options, isValue, context);
+
+  const handler = findTypeHandler(options.typeHandlers, value);
+  if (handler) {
+    log(options.debug, 'trace', 'TYPE', 'Sanitizing value with a type handler', { path: context?.path });
+    return handler.sanitize(value, {
+      path: context?.path ?? '',
+      options,
+      sanitize: (nested, key) =>
+        sanitizeValue(nested, options, true, key == null ? context : childContext(context, key)),
+    });
   }
 
-  const { arrayOptions, debug } = options;
-  const originalLength = arr.length;
+  if (isBsonValue(value) || isBinary(value)) {
+    log(options.debug, 'trace', 'TYPE', `Preserving ${value._bsontype ?? value.constructor.name} value`, {
+      path: context?.path,
+    });
+  }
 
-  log(debug, 'trace', 'ARRAY', `Sanitizing array with ${originalLength} items`);
+  return value;
+};
 
-  let result = arr.map((item, index) => {
-    log(debug, 'trace', 'ARRAY', `Sanitizing item ${index}`);
-    return !options.recursive && (isPlainObject(item) || isArray(item)) ? item : sanitizeValue(item, options);
-  });
+/**
+ * Visits the next item of an array frame
+ * @param {Object} frame - Array frame
+ * @param {Object} options - Sanitization options
+ * @returns {Object|null} Child to sanitize, or null if the item is dropped
+ */
+const visitArrayItem = (frame, options) => {
+  const index = frame.index++;
+  const item = frame.items[index];
+  log(options.debug, 'trace', 'ARRAY', `Sanitizing item ${index}`);
+
+  const context = childContext(frame.context, index, frame.itemSchema, frame.itemStates);
+  if (!admitNode(item, options, context)) {
+    if (frame.inPlace && isSet(frame.output)) frame.output.delete(item);
+    return null;
+  }
+
+  // removeMatches only applies to object entries, removeValueMatches to array items as well
+  const { policy, reason } = frame.compiled.value;
+  if (
+    reason === 'removeValueMatches' &&
+    policy !== 'strip' &&
+    isString(item) &&
+    effectiveStrategy(options, context.schema) !== 'operators' &&
+    !isExemptValue(item, options, context)
+  ) {
+    rejectByPattern(item, 'value', options, context);
+    const match = findPolicyMatch(item, 'value', options, context);
+    if (match) {
+      log(options.debug, 'debug', 'ARRAY', `Item ${index} matches a pattern (${match.policy})`, { path: context.path });
+      recordPolicyMatch(context, 'value', item, match);
+    }
+    if (match?.policy === 'remove') {
+      if (frame.inPlace && isSet(frame.output)) frame.output.delete(item);
+      return null;
+    }
+    if (match) return { value: null, context, isValue: undefined, raw: false };
+  }
+
+  return {
+    value: item,
+    context,
+    isValue: undefined,
+    raw: !options.recursive && !!containerKind(item, options),
+  };
+};
+
+/**
+ * Adds a sanitized item to the array or Set of a frame. In place, array items are compacted towards the start of
+ * the array and Set members are replaced when their sanitized value differs.
+ * @param {Object} frame - Array frame
+ * @param {Object} child - Child returned by visitArrayItem
+ * @param {*} value - Sanitized item
+ */
+const commitArrayItem = (frame, child, value) => {
+  const { output } = frame;
+  if (!isSet(output)) {
+    output[frame.length++] = value;
+  } else if (!frame.inPlace) {
+    output.add(value);
+  } else if (value !== child.value) {
+    output.delete(child.value);
+    output.add(value);
+  }
+};
+
+/**
+ * Removes a Set member dropped by a pipeline step when sanitizing in place. Dropped array items are not committed,
+ * so they are compacted away.
+ * @param {Object} frame - Array frame
+ * @param {Object} child - Child returned by visitArrayItem
+ */
+const dropArrayItem = (frame, child) => {
+  if (frame.inPlace && isSet(frame.output)) frame.output.delete(child.value);
+};
+
+/**
+ * Applies the array options once every item of an array frame is sanitized
+ * @param {Object} frame - Array frame
+ * @param {Object} options - Sanitization options
+ * @returns {Array|Set} Sanitized array or Set
+ */
+const closeArray = (frame, { arrayOptions, debug }) => {
+  const { output } = frame;
+
+  if (isSet(output)) {
+    if (arrayOptions.filterNull) output.forEach((item) => !item && output.delete(item));
+    log(debug, 'trace', 'ARRAY', `Set sanitization completed: ${frame.items.length} -> ${output.size} items`);
+    return output;
+  }
+
+  output.length = frame.length;
 
   if (arrayOptions.filterNull) {
-    const beforeFilter = result.length;
-    result = result.filter(Boolean);
-    const filtered = beforeFilter - result.length;
+    const filtered = retainInPlace(output, Boolean);
     if (filtered > 0) {
       log(debug, 'debug', 'ARRAY', `Filtered ${filtered} null/falsy values`);
     }
   }
 
   if (arrayOptions.distinct) {
-    const beforeDistinct = result.length;
-    result = [...new Set(result)];
-    const duplicates = beforeDistinct - result.length;
+    const seen = new Set();
+    const duplicates = retainInPlace(output, (item) => !seen.has(item) && !!seen.add(item));
     if (duplicates > 0) {
       log(debug, 'debug', 'ARRAY', `Removed ${duplicates} duplicate values`);
     }
   }
 
-  log(debug, 'trace', 'ARRAY', `Array sanitization completed: ${originalLength} -> ${result.length} items`);
+  log(debug, 'trace', 'ARRAY', `Array sanitization completed: ${frame.items.length} -> ${output.length} items`);
 
-  return result;
+  return output;
+};
+
+/**
+ * Opens a traversal frame for an array or a Set, whose members are sanitized like array items
+ * @param {Array|Set} arr - Array or Set to sanitize
+ * @param {Object} options - Sanitization options
+ * @param {Object|null} context - Sanitization context of the array
+ * @returns {Object} Frame holding the items to visit and the sanitized array or Set
+ * @throws {FastifyMongoSanitizeError} If input is not an array or a Set
+ */
+const openArray = (arr, options, context) => {
+  if (!isArray(arr) && !isSet(arr)) {
+    const error = new FastifyMongoSanitizeError('Input must be an array', 'type_error');
+    log(options.debug, 'error', 'ARRAY', `Sanitization failed: ${error.message}`);
+    throw error;
+  }
+
+  const { limits, debug } = options;
+  const compiled = compiledOptionsOf(options, context);
+  let items = isSet(arr) ? [...arr] : arr;
+
+  log(debug, 'trace', 'ARRAY', `Sanitizing array with ${items.length} items`);
+
+  if (limits.maxArrayLength != null && items.length > limits.maxArrayLength) {
+    exceedLimit('maxArrayLength', options, context, arr, 'truncated');
+    if (options.inPlace && isSet(arr)) items.slice(limits.maxArrayLength).forEach((item) => arr.delete(item));
+    items = items.slice(0, limits.maxArrayLength);
+  }
+
+  return {
+    source: arr,
+    items,
+    index: 0,
+    length: 0,
+    inPlace: !!options.inPlace,
+    output: options.inPlace ? arr : isSet(arr) ? new Set() : [],
+    context,
+    compiled,
+    itemStates: stepKeyPaths(context, compiled, '[]'),
+    itemSchema: schemaItemRule(context?.schema),
+    keyed: false,
+    visit: visitArrayItem,
+    commit: commitArrayItem,
+    drop: dropArrayItem,
+    close: closeArray,
+  };
+};
+
+/**
+ * Applies every key level rule to the next entry of an object frame
+ * @param {Object} frame - Object frame
+ * @param {Object} options - Sanitization options
+ * @param {*} originalKey - Key of the entry in the object, see visitObjectEntry
+ * @returns {Object|null} Child to sanitize, or null if the entry is removed
+ */
+const inspectObjectEntry = (frame, options, originalKey) => {
+  const { removeEmpty, allowedOperators, prototypePollution, debug } = options;
+  const { context, compiled } = frame;
+  const { allowMatcher, denyMatcher } = compiled;
+  const [key, value] = frame.items[frame.index++];
+  const strategy = effectiveStrategy(options, context?.schema);
+
+  const keyStates = stepKeyPaths(context, compiled, key);
+  const schema = schemaPropertyRule(context?.schema, key);
+  const keyContext = childContext(context, key, schema || null, keyStates);
+
+  if (!admitNode(value, options, keyContext)) return null;
+
+  if (!isString(key)) {
+    // Map keys that are not strings cannot be operators, they are kept as is
+    return {
+      key,
+      originalKey,
+      value,
+      context: keyContext,
+      isValue: true,
+      raw: !options.recursive && !!containerKind(value, options),
+    };
+  }
+
+  if (prototypePollution && PROTOTYPE_KEYS.includes(key)) {
+    blockPrototypeKey(key, options, keyContext);
+    return null;
+  }
+
+  if (schema === false) {
+    log(debug, 'debug', 'OBJECT', `Key '${key}' not declared in the route schema, removing`, { path: keyContext.path });
+    recordEntry(keyContext, { target: 'key', original: key, reason: 'schema' });
+    return null;
+  }
+
+  if (
+    allowMatcher &&
+    !allowMatcher.matched(keyStates.allowStates) &&
+    !(allowMatcher.pending(keyStates.allowStates) && containerKind(value, options))
+  ) {
+    log(debug, 'debug', 'OBJECT', `Key '${key}' not in allowedKeys, removing`, { path: keyContext.path });
+    recordEntry(keyContext, { target: 'key', original: key, reason: 'allowedKeys' });
+    return null;
+  }
+
+  if (denyMatcher && denyMatcher.matched(keyStates.denyStates)) {
+    log(debug, 'debug', 'OBJECT', `Key '${key}' in deniedKeys, removing`, { path: keyContext.path });
+    recordEntry(keyContext, { target: 'key', original: key, reason: 'deniedKeys' });
+    return null;
+  }
+
+  const allowedOperator =
+    isAllowedOperator(allowedOperators, key, value, frame.objectPath) || isFilterOperator(context?.schema, key, value);
+  if (allowedOperator) {
+    log(debug, 'trace', 'OBJECT', `Preserving allowed operator '${key}'`, { path: keyContext.path });
+  }
+
+  if (strategy === 'operators' && !allowedOperator) {
+    const operatorPatterns = matchingPatterns(key, OPERATOR_PATTERNS);
+    if (operatorPatterns.length > 0) {
+      log(debug, 'debug', 'OBJECT', `Key '${key}' is an operator or dotted path, removing`, {
+        path: keyContext.path,
+      });
+      recordEntry(keyContext, {
+        target: 'key',
+        original: key,
+        patterns: operatorPatterns,
+        patternNames: operatorPatterns.map((index) => OPERATOR_PATTERN_NAMES[index]),
+        reason: 'strategy',
+      });
+      return null;
+    }
+  }
+
+  const sanitizedKey = allowedOperator
+    ? key
+    : sanitizeString(key, options, false, keyContext, 'key', context?.schema ?? null);
+
+  if (prototypePollution && PROTOTYPE_KEYS.includes(sanitizedKey)) {
+    blockPrototypeKey(key, options, keyContext);
+    return null;
+  }
+
+  const keyMatch = strategy !== 'operators' && !allowedOperator && findPolicyMatch(key, 'key', options, keyContext);
+  if (keyMatch?.policy === 'remove') {
+    log(debug, 'debug', 'OBJECT', `Key '${key}' matches removal pattern`, { path: keyContext.path });
+    recordPolicyMatch(keyContext, 'key', key, keyMatch);
+    return null;
+  }
+
+  if (removeEmpty && !sanitizedKey) {
+    log(debug, 'debug', 'OBJECT', `Empty key removed after sanitization`, { path: keyContext.path });
+    recordEntry(keyContext, { target: 'key', original: key, reason: 'removeEmpty' });
+    return null;
+  }
+
+  if (keyMatch) {
+    log(debug, 'debug', 'OBJECT', `Key '${key}' matches a pattern, replacing its value with null`, {
+      path: keyContext.path,
+    });
+    recordPolicyMatch(keyContext, 'key', key, keyMatch);
+    return { key: sanitizedKey, originalKey, value: null, context: keyContext, isValue: true, raw: false };
+  }
+
+  // Exempt values are left untouched by sanitizeString
+  if (strategy !== 'operators' && isString(value) && !isExemptValue(value, options, keyContext)) {
+    rejectByPattern(value, 'value', options, keyContext);
+    const valueMatch = findPolicyMatch(value, 'value', options, keyContext);
+    if (valueMatch?.policy === 'remove') {
+      log(debug, 'debug', 'OBJECT', `Value for key '${key}' matches removal pattern`, { path: keyContext.path });
+      recordPolicyMatch(keyContext, 'value', value, valueMatch);
+      return null;
+    }
+    if (valueMatch) {
+      log(debug, 'debug', 'OBJECT', `Value for key '${key}' matches a pattern, replacing it with null`, {
+        path: keyContext.path,
+      });
+      recordPolicyMatch(keyContext, 'value', value, valueMatch);
+      return { key: sanitizedKey, originalKey, value: null, context: keyContext, isValue: true, raw: false };
+    }
+  }
+
+  return {
+    key: sanitizedKey,
+    originalKey,
+    value,
+    context: keyContext,
+    isValue: true,
+    raw: !options.recursive && !!containerKind(value, options),
+  };
+};
+
+/**
+ * Removes a key from an object or a Map
+ * @param {Object|Map} obj - Object or Map
+ * @param {*} key - Key to remove
+ */
+const deleteEntry = (obj, key) => {
+  if (isMap(obj)) obj.delete(key);
+  else delete obj[key];
+};
+
+/**
+ * Removes the original key of an entry when sanitizing in place, unless an earlier entry of the frame was renamed to
+ * that key and already holds its sanitized value
+ * @param {Object} frame - Object frame
+ * @param {*} key - Original key of the entry
+ */
+const removeOriginalEntry = (frame, key) => {
+  if (!frame.renamedKeys?.has(key)) deleteEntry(frame.output, key);
+};
+
+/**
+ * Visits the next entry of an object frame, removing it from the object when sanitizing in place
+ * @param {Object} frame - Object frame
+ * @param {Object} options - Sanitization options
+ * @param {*} [key] - Key of the entry in the object, when a pipeline step renamed it before the built-in rules
+ * @returns {Object|null} Child to sanitize, or null if the entry is removed
+ */
+const visitObjectEntry = (frame, options, key = frame.items[frame.index][0]) => {
+  const child = inspectObjectEntry(frame, options, key);
+
+  if (!child && frame.inPlace) removeOriginalEntry(frame, key);
+  return child;
+};
+
+/**
+ * Removes the entry of a child dropped by a pipeline step from the object when sanitizing in place
+ * @param {Object} frame - Object frame
+ * @param {Object} child - Child returned by visitObjectEntry
+ */
+const dropObjectEntry = (frame, child) => {
+  if (frame.inPlace) removeOriginalEntry(frame, child.originalKey);
+};
+
+/**
+ * Assigns a sanitized value to the object of a frame, unless removeEmpty drops it
+ * @param {Object} frame - Object frame
+ * @param {Object} child - Child returned by visitObjectEntry
+ * @param {*} value - Sanitized value
+ * @param {Object} options - Sanitization options
+ */
+const commitObjectEntry = (frame, child, value, { removeEmpty, debug }) => {
+  if (removeEmpty && !value) {
+    log(debug, 'debug', 'OBJECT', `Empty value removed for key '${child.key}'`, { path: child.context.path });
+    recordEntry(child.context, { target: 'value', original: child.value, reason: 'removeEmpty' });
+    if (frame.inPlace) removeOriginalEntry(frame, child.originalKey);
+    return;
+  }
+
+  if (frame.inPlace && child.key !== child.originalKey) {
+    removeOriginalEntry(frame, child.originalKey);
+    frame.renamedKeys = frame.renamedKeys || new Set();
+    frame.renamedKeys.add(child.key);
+  }
+  if (isMap(frame.output)) frame.output.set(child.key, value);
+  else safeAssign(frame.output, child.key, value);
 };
 
 /**
- * Sanitizes an object according to provided options
- * @param {Object} obj - Object to sanitize
+ * Finishes an object frame once every entry is sanitized
+ * @param {Object} frame - Object frame
  * @param {Object} options - Sanitization options
  * @returns {Object} Sanitized object
- * @throws {FastifyMongoSanitizeError} If input is not an object
  */
-const sanitizeObject = (obj, options) => {
-  if (!isPlainObject(obj)) {
+const closeObject = (frame, { debug }) => {
+  // The keys of the sanitized object are only counted for the log
+  if (debug.enabled) {
+    const originalKeys = frame.items.length;
+    const finalKeys = isMap(frame.output) ? frame.output.size : Object.keys(frame.output).length;
+    log(debug, 'trace', 'OBJECT', `Object sanitization completed: ${originalKeys} -> ${finalKeys} keys`);
+  }
+
+  return frame.output;
+};
+
+/**
+ * Opens a traversal frame for an object or a Map, whose entries are sanitized like object keys and values
+ * @param {Object|Map} obj - Object or Map to sanitize
+ * @param {Object} options - Sanitization options
+ * @param {Object|null} context - Sanitization context of the object
+ * @returns {Object} Frame holding the entries to visit and the sanitized object or Map
+ * @throws {FastifyMongoSanitizeError} If input is not an object or a Map
+ */
+const openObject = (obj, options, context) => {
+  if (!isPlainObject(obj) && !isMap(obj)) {
     const error = new FastifyMongoSanitizeError('Input must be an object', 'type_error');
     log(options.debug, 'error', 'OBJECT', `Sanitization failed: ${error.message}`);
     throw error;
   }
 
-  const { removeEmpty, allowedKeys, deniedKeys, removeMatches, patterns, debug } = options;
-  const originalKeys = Object.keys(obj);
+  const { allowedOperators, limits, debug } = options;
+  let items = isMap(obj) ? [...obj] : Object.entries(obj);
 
-  log(debug, 'trace', 'OBJECT', `Sanitizing object with ${originalKeys.length} keys`);
+  log(debug, 'trace', 'OBJECT', `Sanitizing object with ${items.length} keys`);
 
-  const result = Object.entries(obj).reduce((acc, [key, value]) => {
-    if (allowedKeys && allowedKeys.length && !allowedKeys.includes(key)) {
-      log(debug, 'debug', 'OBJECT', `Key '${key}' not in allowedKeys, removing`);
-      return acc;
-    }
+  if (limits.maxKeys != null && items.length > limits.maxKeys) {
+    exceedLimit('maxKeys', options, context, obj, 'truncated');
+    if (options.inPlace) items.slice(limits.maxKeys).forEach(([key]) => deleteEntry(obj, key));
+    items = items.slice(0, limits.maxKeys);
+  }
 
-    if (deniedKeys && deniedKeys.length && deniedKeys.includes(key)) {
-      log(debug, 'debug', 'OBJECT', `Key '${key}' in deniedKeys, removing`);
-      return acc;
-    }
+  return {
+    source: obj,
+    items,
+    index: 0,
+    inPlace: !!options.inPlace,
+    output: options.inPlace ? obj : isMap(obj) ? new Map() : {},
+    context,
+    objectPath: allowedOperators ? relativePath(context) : '',
+    compiled: compiledOptionsOf(options, context),
+    keyed: true,
+    visit: visitObjectEntry,
+    commit: commitObjectEntry,
+    drop: dropObjectEntry,
+    close: closeObject,
+  };
+};
 
-    const sanitizedKey = sanitizeString(key, options, false);
+/**
+ * Runs a generator to completion, passing back what it yields. Yielded promises are awaited first, so the generator
+ * completes synchronously unless it yields a promise.
+ * @param {Generator} generator - Generator yielding the promises returned by asynchronous steps
+ * @returns {*|Promise<*>} Value returned by the generator, or a promise of it once a promise was yielded
+ */
+const drive = (generator) => {
+  let next = generator.next();
+  while (!next.done) {
+    if (isThenable(next.value)) return resume(generator, next.value);
+    next = generator.next(next.value);
+  }
+  return next.value;
+};
 
-    if (isString(value) && isEmail(value)) {
-      log(debug, 'trace', 'OBJECT', `Preserving email value for key '${key}'`);
-      acc[sanitizedKey] = value;
-      return acc;
-    }
+/**
+ * Continues running a generator after it yielded a promise
+ * @param {Generator} generator - Generator driven by drive
+ * @param {Promise} pending - Promise yielded by the generator
+ * @returns {Promise<*>} Value returned by the generator
+ */
+const resume = async (generator, pending) => {
+  let next = generator.next(await pending);
+  while (!next.done) next = generator.next(isThenable(next.value) ? await next.value : next.value);
+  return next.value;
+};
+
+/**
+ * Runs pipeline steps on a key or value in order and records their changes in the report
+ * @param {Object[]} steps - Pipeline steps
+ * @param {*} value - Key or value
+ * @param {Object} options - Sanitization options
+ * @param {Object|null} context - Sanitization context of the key or value
+ * @param {'key'|'value'} [target='value'] - Whether value is a key or a value
+ * @returns {Generator<Promise, *, *>} Generator yielding the promises of asynchronous steps and returning the new key
+ * or value, or kRemoved when a step removed it
+ */
+const runSteps = function* (steps, value, options, context, target = 'value') {
+  const stepContext = {
+    path: context?.path ?? '',
+    key: context?.key ?? null,
+    requestProperty: context?.root || null,
+    request: context?.request ?? null,
+    options,
+  };
 
-    if (
-      removeMatches &&
-      patterns.some((pattern) => {
-        const matches = pattern.test(key);
-        if (matches) {
-          log(debug, 'debug', 'OBJECT', `Key '${key}' matches removal pattern`);
+  for (const step of steps) {
+    let result = step.run(value, stepContext);
+    if (isThenable(result)) result = yield result;
+    if (Object.is(result, value)) continue;
+
+    const removed = result === undefined;
+    log(options.debug, 'debug', 'PIPELINE', `Step '${step.name}' ${removed ? 'removed' : 'changed'} a ${target}`, {
+      path: stepContext.path,
+    });
+    recordEntry(context, {
+      target,
+      original: value,
+      sanitized: result,
+      reason: 'step',
+      action: removed ? 'removed' : 'sanitized',
+      step: step.name,
+    });
+    if (removed) return kRemoved;
+    value = result;
+  }
+  return value;
+};
+
+/**
+ * Sanitizes a value according to its type and provided options, running the pipeline steps around the built-in
+ * sanitization of every key and node.
+ * Nested objects and arrays are walked with an explicit stack of frames instead of recursion, so the depth of a
+ * value is not limited by the call stack. A reference back to an object or array that is still being sanitized
+ * (a cycle) is replaced by its sanitized copy; other shared references are sanitized once per path, since key
+ * paths and allowed operators depend on it.
+ * @param {*} value - Value to sanitize
+ * @param {Object} options - Sanitization options
+ * @param {boolean} [isValue=false] - Whether value is a value or key
+ * @param {Object|null} [context=null] - Sanitization context
+ * @returns {Generator<Promise, *, *>} Generator yielding the promises of asynchronous steps and type handlers and
+ * returning the sanitized value, or undefined when a step removed it
+ */
+const walk = function* (value, options, isValue, context = null) {
+  const { before, after } = compilePipeline(options.pipeline);
+  const ancestors = new Map();
+  const stack = [];
+  let child = { value, context, isValue, raw: false };
+
+  for (;;) {
+    if (child) {
+      // Runs the steps and built-in sanitization of a node, or opens a frame to sanitize its children
+      let node = child.value;
+      const preSteps = containerKind(node, options) ? before.container : before.leaf;
+      if (preSteps.length > 0) node = yield* runSteps(preSteps, node, options, child.context);
+
+      let output = node;
+      if (node === kRemoved || ancestors.has(node)) {
+        if (node !== kRemoved) {
+          log(options.debug, 'debug', 'CYCLE', 'Circular reference replaced by its sanitized copy', {
+            path: child.context?.path,
+          });
+          output = ancestors.get(node);
         }
-        return matches;
-      })
-    ) {
-      return acc;
-    }
+      } else if (child.raw || !containerKind(node, options)) {
+        if (!child.raw) output = sanitizeLeaf(node, options, child.isValue, child.context);
+        if (isThenable(output)) output = yield output;
+        const postSteps = containerKind(output, options) ? after.container : after.leaf;
+        if (postSteps.length > 0) output = yield* runSteps(postSteps, output, options, child.context);
+      } else {
+        const frame = (isArray(node) || isSet(node) ? openArray : openObject)(node, options, child.context);
+        frame.node = child;
+        ancestors.set(node, frame.output);
+        stack.push(frame);
+        child = null;
+        continue;
+      }
 
-    if (removeEmpty && !sanitizedKey) {
-      log(debug, 'debug', 'OBJECT', `Empty key removed after sanitization`);
-      return acc;
+      if (stack.length === 0) return output === kRemoved ? undefined : output;
+      const parent = stack[stack.length - 1];
+      if (output === kRemoved) parent.drop(parent, child);
+      else parent.commit(parent, child, output, options);
+      child = null;
+      continue;
     }
 
-    if (
-      removeMatches &&
-      isString(value) &&
-      patterns.some((pattern) => {
-        const matches = pattern.test(value);
-        if (matches) {
-          log(debug, 'debug', 'OBJECT', `Value for key '${key}' matches removal pattern`);
+    const frame = stack[stack.length - 1];
+
+    if (frame.index < frame.items.length) {
+      let originalKey;
+      if (frame.keyed && before.key.length > 0) {
+        const [key, item] = frame.items[frame.index];
+        const renamed = yield* runSteps(before.key, key, options, childContext(frame.context, key), 'key');
+        if (renamed === kRemoved) {
+          frame.index++;
+          frame.drop(frame, { originalKey: key, value: item });
+          continue;
         }
-        return matches;
-      })
-    ) {
-      return acc;
-    }
+        frame.items[frame.index] = [renamed, item];
+        originalKey = key;
+      }
 
-    const sanitizedValue =
-      !options.recursive && (isPlainObject(value) || isArray(value)) ? value : sanitizeValue(value, options, true);
+      const next = frame.visit(frame, options, originalKey);
+      if (!next) continue;
 
-    if (removeEmpty && !sanitizedValue) {
-      log(debug, 'debug', 'OBJECT', `Empty value removed for key '${key}'`);
-      return acc;
+      if (frame.keyed && after.key.length > 0) {
+        next.key = yield* runSteps(after.key, next.key, options, childContext(frame.context, next.key), 'key');
+        if (next.key === kRemoved) {
+          frame.drop(frame, next);
+          continue;
+        }
+      }
+      child = next;
+      continue;
     }
 
-    acc[sanitizedKey] = sanitizedValue;
-    return acc;
-  }, {});
+    stack.pop();
+    ancestors.delete(frame.source);
+    let output = frame.close(frame, options);
+    if (after.container.length > 0) output = yield* runSteps(after.container, output, options, frame.node.context);
 
-  const finalKeys = Object.keys(result);
-  log(debug, 'trace', 'OBJECT', `Object sanitization completed: ${originalKeys.length} -> ${finalKeys.length} keys`);
+    if (stack.length === 0) return output === kRemoved ? undefined : output;
+    const parent = stack[stack.length - 1];
+    if (output === kRemoved) parent.drop(parent, frame.node);
+    else parent.commit(parent, frame.node, output, options);
+  }
+};
 
-  return result;
+/**
+ * Sanitizes a value like walk when the pipeline has no steps, without a generator. Only a type handler can return a
+ * promise then, in which case the traversal continues from the same stack once it settles.
+ * @param {Object|null} child - Next child to sanitize, null to continue with the frame on top of the stack
+ * @param {Object} options - Sanitization options
+ * @param {Object[]} [stack=[]] - Frames of the objects and arrays being sanitized
+ * @param {Map} [ancestors=new Map()] - Sanitized copies of the objects and arrays of the stack, see walk
+ * @returns {*|Promise<*>} Sanitized value, or a promise of it when a type handler returned one
+ */
+const traverse = (child, options, stack = [], ancestors = new Map()) => {
+  for (;;) {
+    let output;
+    if (child) {
+      const node = child.value;
+      const kind = !child.raw && containerKind(node, options);
+      const copy = ancestors.get(node);
+      if (copy !== undefined) {
+        log(options.debug, 'debug', 'CYCLE', 'Circular reference replaced by its sanitized copy', {
+          path: child.context?.path,
+        });
+        output = copy;
+      } else if (kind) {
+        const frame = (kind === 'array' || kind === 'set' ? openArray : openObject)(node, options, child.context);
+        frame.node = child;
+        ancestors.set(node, frame.output);
+        stack.push(frame);
+        child = null;
+        continue;
+      } else {
+        output = child.raw ? node : sanitizeLeaf(node, options, child.isValue, child.context);
+        if (isThenable(output)) {
+          const pending = child;
+          return output.then((resolved) => {
+            if (stack.length === 0) return resolved;
+            const parent = stack[stack.length - 1];
+            parent.commit(parent, pending, resolved, options);
+            return traverse(null, options, stack, ancestors);
+          });
+        }
+      }
+    } else {
+      const frame = stack[stack.length - 1];
+      if (frame.index < frame.items.length) {
+        child = frame.visit(frame, options);
+        continue;
+      }
+      stack.pop();
+      // Clearing the entry instead of deleting it keeps the map from shrinking after every frame
+      ancestors.set(frame.source, undefined);
+      output = frame.close(frame, options);
+      child = frame.node;
+    }
+
+    if (stack.length === 0) return output;
+    const parent = stack[stack.length - 1];
+    parent.commit(parent, child, output, options);
+    child = null;
+  }
 };
 
 /**
- * Sanitizes a value according to its type and provided options
+ * Sanitizes a value, see walk. Without pipeline steps, the value is sanitized by traverse instead.
  * @param {*} value - Value to sanitize
  * @param {Object} options - Sanitization options
  * @param {boolean} [isValue=false] - Whether value is a value or key
- * @returns {*} Sanitized value
+ * @param {Object|null} [context=null] - Sanitization context
+ * @returns {*|Promise<*>} Sanitized value, or a promise of it when an asynchronous step or type handler was involved
  */
-const sanitizeValue = (value, options, isValue) => {
-  if (value == null || isPrimitive(value) || isDate(value)) return value;
-  if (isString(value)) return sanitizeString(value, options, isValue);
-  if (isArray(value)) return sanitizeArray(value, options);
-  if (isPlainObject(value)) return sanitizeObject(value, options);
-  return value;
+const sanitizeValue = (value, options, isValue, context = null) =>
+  compiledOptionsOf(options, context).pipeline
+    ? drive(walk(value, options, isValue, context))
+    : traverse({ value, context, isValue, raw: false }, options);
+
+/**
+ * Sanitizes a root value, such as a request property, and collects the report entries
+ * @param {*} value - Value to sanitize
+ * @param {Object} options - Sanitization options
+ * @param {string} [root=''] - Path prefix of the report entries (e.g. 'body')
+ * @param {Object|null} [request=null] - Fastify request the value belongs to, passed to the pipeline steps
+ * @param {Object|null} [schema=null] - Route schema rule of the value, see compileRouteSchema
+ * @returns {Object|Promise<Object>} Sanitized value, report entries and violations as { value, entries, violations },
+ * or a promise of them when an asynchronous step was involved
+ */
+const sanitizeRoot = (value, options, root = '', request = null, schema = null) => {
+  const entries = [];
+  // Report mode must leave the data untouched
+  if (options.inPlace && options.onViolation === 'report') options = { ...options, inPlace: false };
+
+  const sanitized = options.customSanitizer
+    ? options.customSanitizer(value, options)
+    : sanitizeValue(value, options, undefined, {
+        path: root,
+        root,
+        key: null,
+        request,
+        schema,
+        entries,
+        depth: 1,
+        nodes: { count: 1 },
+        compiled: compileOptions(options),
+        allowStates: null,
+        denyStates: null,
+      });
+
+  const finish = (result) => ({ value: result, entries, violations: entries.filter(isViolation) });
+  return isThenable(sanitized) ? sanitized.then(finish) : finish(sanitized);
 };
 
 /**
- * Handles request sanitization
+ * Handles detected violations according to options.onViolation
+ * @param {Object[]} violations - Report entries where a pattern matched
+ * @param {Object} options - Sanitization options
+ * @throws {FastifyMongoSanitizeError} If onViolation is 'reject' and a violation was detected
+ */
+const handleViolations = (violations, options) => {
+  const { onViolation, rejectStatusCode, debug } = options;
+  if (violations.length === 0 || onViolation === 'sanitize') return;
+
+  const paths = [...new Set(violations.map((violation) => violation.path))];
+  log(debug, 'warn', 'VIOLATION', `Violations detected at: ${paths.join(', ')}`, { paths });
+
+  if (onViolation === 'reject') {
+    throw new FastifyMongoSanitizeError(
+      `Potential NoSQL injection detected at: ${paths.join(', ')}`,
+      'injection_detected',
+      {
+        statusCode: rejectStatusCode,
+        violations,
+      }
+    );
+  }
+};
+
+/**
+ * Type handler for the parts @fastify/multipart attaches to the body: field values are sanitized, files are kept
+ * @constant {Object}
+ */
+const multipartHandler = Object.freeze({
+  test: isMultipartPart,
+  sanitize: (part, { sanitize }) => {
+    if (part.type !== 'field') return part;
+    const value = sanitize(part.value);
+    return isThenable(value) ? value.then((resolved) => ({ ...part, value: resolved })) : { ...part, value };
+  },
+});
+
+/**
+ * Reads a request property to sanitize
+ * @param {Object} request - Fastify request object
+ * @param {string} property - Request property
+ * @param {Object} options - Sanitization options
+ * @returns {*} Property value, for headers only the headers missing from options.allowedHeaders
+ */
+const readRequestProperty = (request, property, { allowedHeaders }) => {
+  if (property !== 'headers') return request[property];
+
+  const allowed = new Set(allowedHeaders.map((name) => name.toLowerCase()));
+  return Object.fromEntries(Object.entries(request.headers).filter(([name]) => !allowed.has(name)));
+};
+
+/**
+ * Returns the request property holding the original value of a sanitized property when preserveOriginal is set
+ * @param {string} property - Sanitized request property, e.g. 'body'
+ * @returns {string} Property name, e.g. 'originalBody'
+ */
+const originalPropertyName = (property) => `original${property[0].toUpperCase()}${property.slice(1)}`;
+
+/**
+ * Writes a sanitized request property back. Headers are updated in place on the raw request, since Fastify merges
+ * assigned headers over the raw ones instead of replacing them.
+ * @param {Object} request - Fastify request object
+ * @param {string} property - Request property
+ * @param {*} original - Value returned by readRequestProperty
+ * @param {*} value - Sanitized value
+ */
+const writeRequestProperty = (request, property, original, value) => {
+  if (property !== 'headers') {
+    request[property] = value;
+    return;
+  }
+
+  const { headers } = request.raw;
+  for (const name of Object.keys(original)) {
+    if (!Object.prototype.hasOwnProperty.call(value, name)) delete headers[name];
+  }
+  for (const [name, header] of Object.entries(value)) safeAssign(headers, name, header);
+};
+
+/**
+ * Sanitizes the field parts yielded by @fastify/multipart's request.parts() as they arrive.
+ * Entries are added to the body of the request's sanitization report.
  * @param {Object} request - Fastify request object
+ * @param {AsyncIterable<Object>} parts - Parts yielded by request.parts()
  * @param {Object} options - Sanitization options
+ * @yields {Object} Files as is, fields with sanitized name and value; removed fields are skipped
+ * @throws {FastifyMongoSanitizeError} If onViolation is 'reject' and a violation was detected
  */
-const handleRequest = (request, options) => {
-  const { sanitizeObjects, customSanitizer, debug } = options;
+const sanitizeParts = async function* (request, parts, options) {
+  for await (const part of parts) {
+    if (part.type !== 'field') {
+      yield part;
+      continue;
+    }
+
+    const result = await sanitizeRoot({ [part.fieldname]: part.value }, options, 'body', request);
+    const report = request.sanitizationReport;
+    report.body = report.body || [];
+    report.body.push(...result.entries);
+    report.tampered = report.tampered || result.entries.length > 0;
+    report.violations.push(...result.violations);
+    handleViolations(result.violations, options);
+
+    if (options.onViolation === 'report') {
+      yield part;
+      continue;
+    }
+
+    const [entry] = Object.entries(result.value ?? {});
+    if (entry) yield { ...part, fieldname: entry[0], value: entry[1] };
+  }
+};
+
+/**
+ * Replaces request.parts() of @fastify/multipart so that streamed fields are sanitized
+ * @param {Object} request - Fastify request object
+ * @param {Object} options - Sanitization options
+ */
+const wrapMultipartParts = (request, options) => {
+  const { parts } = request;
+  if (!isFunction(parts) || parts[kSanitizedParts]) return;
+
+  const sanitizedParts = function (...args) {
+    return sanitizeParts(this, parts.apply(this, args), options);
+  };
+  sanitizedParts[kSanitizedParts] = true;
+  request.parts = sanitizedParts;
+};
+
+/**
+ * Sanitizes the properties of a request, see handleRequest
+ * @param {Object} request - Fastify request object
+ * @param {Object} options - Sanitization options
+ * @param {string[]} sanitizeObjects - Request properties to sanitize
+ * @param {Object|null} report - Report of an earlier phase to continue, a new report is created when null
+ * @returns {Generator<Promise, void, *>} Generator yielding the promises of asynchronous steps
+ * @throws {FastifyMongoSanitizeError} If onViolation is 'reject' and a violation was detected
+ */
+const sanitizeRequest = function* (request, options, sanitizeObjects, report) {
+  const { customSanitizer, onViolation, debug } = options;
   const endTiming = startTiming(debug, 'Request Sanitization');
+  const multipart = isFunction(request.isMultipart) && request.isMultipart();
+  const schemaRules = options.useRouteSchema ? compileRouteSchema(getRouteSchema(request)) : null;
+  const violations = [];
+  report = report || { tampered: false, violations: [] };
+
+  log(debug, 'info', 'REQUEST', `Sanitizing request: ${request.method} ${request.url}`, {
+    method: request.method,
+    url: request.url,
+  });
 
-  log(debug, 'info', 'REQUEST', `Sanitizing request: ${request.method} ${request.url}`);
+  if (multipart) {
+    log(debug, 'debug', 'REQUEST', 'Sanitizing multipart fields');
+    options = { ...options, typeHandlers: [multipartHandler, ...options.typeHandlers] };
+  }
 
   for (const sanitizeObject of sanitizeObjects) {
-    if (request[sanitizeObject]) {
-      log(debug, 'debug', 'REQUEST', `Sanitizing ${sanitizeObject}`, request[sanitizeObject]);
+    report[sanitizeObject] = [];
+    if (multipart && sanitizeObject === 'body') wrapMultipartParts(request, options);
 
-      const originalRequest = Object.assign({}, request[sanitizeObject]);
+    if (options.preserveOriginal && request[sanitizeObject] !== undefined) {
+      request[originalPropertyName(sanitizeObject)] = deepClone(request[sanitizeObject]);
+    }
+
+    const originalRequest = readRequestProperty(request, sanitizeObject, options);
+    if (originalRequest) {
+      log(debug, 'debug', 'REQUEST', `Sanitizing ${sanitizeObject}`, {
+        requestProperty: sanitizeObject,
+        data: originalRequest,
+      });
 
       if (customSanitizer) {
-        log(debug, 'debug', 'REQUEST', `Using custom sanitizer for ${sanitizeObject}`);
-        request[sanitizeObject] = customSanitizer(originalRequest);
-      } else {
-        request[sanitizeObject] = sanitizeValue(originalRequest, options);
+        log(debug, 'debug', 'REQUEST', `Using custom sanitizer for ${sanitizeObject}`, {
+          requestProperty: sanitizeObject,
+        });
       }
 
+      const schema = schemaRules?.[sanitizeObject] ?? null;
+      let result = sanitizeRoot(originalRequest, options, sanitizeObject, request, schema);
+      if (isThenable(result)) result = yield result;
+
+      report[sanitizeObject] = result.entries;
+      report.tampered = report.tampered || result.entries.length > 0;
+      violations.push(...result.violations);
+
+      if (onViolation !== 'report') writeRequestProperty(request, sanitizeObject, originalRequest, result.value);
+
       if (debug.logSanitizedValues) {
         log(debug, 'debug', 'REQUEST', `${sanitizeObject} sanitized`, {
+          requestProperty: sanitizeObject,
           before: originalRequest,
-          after: request[sanitizeObject],
+          after: result.value,
         });
       }
     }
   }
 
+  report.violations.push(...violations);
+  request.sanitizationReport = report;
+
   endTiming();
+  handleViolations(violations, options);
   log(debug, 'info', 'REQUEST', `Request sanitization completed`);
 };
 
+/**
+ * Handles request sanitization
+ * @param {Object} request - Fastify request object
+ * @param {Object} options - Sanitization options
+ * @param {string[]} [sanitizeObjects=options.sanitizeObjects] - Request properties to sanitize
+ * @param {Object|null} [report=null] - Report of an earlier phase to continue, a new report is created when null
+ * @returns {void|Promise<void>} A promise when an asynchronous pipeline step was involved
+ * @throws {FastifyMongoSanitizeError} If onViolation is 'reject' and a violation was detected
+ */
+const handleRequest = (request, options, sanitizeObjects = options.sanitizeObjects, report = null) =>
+  drive(sanitizeRequest(request, options, sanitizeObjects, report));
+
+/**
+ * Sanitizes a value that does not belong to a request property, applying options.onViolation
+ * @param {*} value - Value to sanitize
+ * @param {Object} options - Validated sanitization options
+ * @param {Object|null} [request=null] - Fastify request the value is sanitized for, passed to the pipeline steps
+ * @returns {Object|Promise<Object>} Sanitized value (the original one in report mode) and violations as
+ * { value, violations }, or a promise of them when an asynchronous step was involved
+ * @throws {FastifyMongoSanitizeError} If onViolation is 'reject' and a violation was detected
+ */
+const sanitizeDetached = (value, options, request = null) => {
+  const finish = (result) => {
+    handleViolations(result.violations, options);
+    return { value: options.onViolation === 'report' ? value : result.value, violations: result.violations };
+  };
+  const result = sanitizeRoot(value, options, '', request);
+  return isThenable(result) ? result.then(finish) : finish(result);
+};
+
+/**
+ * Merges call options over resolved options, validating them when any are given
+ * @param {Object} options - Resolved plugin or route options
+ * @param {Object} [overrides] - Options given to request.sanitize(), request.sanitizeValue() or fastify.mongoSanitize()
+ * @returns {Object} Merged options
+ * @throws {FastifyMongoSanitizeError} If the merged options are invalid
+ */
+const mergeOptions = (options, overrides) => {
+  if (overrides == null) return options;
+  if (!isPlainObject(overrides)) throw new FastifyMongoSanitizeError('Invalid sanitization options', 'type_error');
+
+  const merged = { ...options, ...overrides };
+  validateOptions(merged);
+  return merged;
+};
+
+/**
+ * Creates a standalone sanitizer that can be used outside of Fastify, e.g. on message queue payloads,
+ * WebSocket frames, GraphQL variables or CLI input
+ * @param {Object} [options={}] - Sanitization options, plugin only options such as mode or skipRoutes are ignored
+ * @returns {Function} Pure function returning a sanitized copy of the given value, or a promise of it when an
+ * asynchronous pipeline step was involved
+ * @throws {FastifyMongoSanitizeError} If any option is invalid
+ */
+const createSanitizer = (options = {}) => {
+  const opt = { ...DEFAULT_OPTIONS, ...options };
+  validateOptions(opt);
+
+  return (value) => {
+    const result = sanitizeDetached(value, opt);
+    return isThenable(result) ? result.then((sanitized) => sanitized.value) : result.value;
+  };
+};
+
+/**
+ * Returns the config of the route matched by the request
+ * @param {Object} request - Fastify request object
+ * @returns {Object|undefined} Route config
+ */
+const getRouteConfig = (request) => request.routeOptions?.config ?? request.routeConfig;
+
+/**
+ * Returns the schema of the route matched by the request
+ * @param {Object} request - Fastify request object
+ * @returns {Object|undefined} Route schema
+ */
+const getRouteSchema = (request) => request.routeOptions?.schema ?? request.routeSchema;
+
+/**
+ * Resolves the options of a route by merging its `config.mongoSanitize` over the plugin options
+ * @param {Object|undefined} routeConfig - Route config
+ * @param {Object} options - Plugin options
+ * @param {WeakMap} cache - Resolved options keyed by the route's mongoSanitize config
+ * @returns {Object|null} Options for the route, or null when the plugin is disabled for it
+ * @throws {FastifyMongoSanitizeError} If the route options are invalid
+ */
+const resolveRouteOptions = (routeConfig, options, cache) => {
+  const routeOptions = routeConfig?.mongoSanitize;
+  if (routeOptions == null) return options;
+  if (routeOptions === false) return null;
+
+  if (!isPlainObject(routeOptions)) {
+    throw new FastifyMongoSanitizeError('Invalid route configuration: mongoSanitize', 'type_error');
+  }
+
+  let resolved = cache.get(routeOptions);
+  if (!resolved) {
+    const pluginOnly = PLUGIN_ONLY_OPTIONS.find((key) => key in routeOptions);
+    if (pluginOnly) {
+      throw new FastifyMongoSanitizeError(
+        `Invalid route configuration: ${pluginOnly} can only be set when registering the plugin`,
+        'type_error'
+      );
+    }
+
+    resolved = { ...options, ...routeOptions };
+    validateOptions(resolved);
+    cache.set(routeOptions, resolved);
+  }
+  return resolved;
+};
+
 /**
  * Fastify plugin for MongoDB query sanitization
  * @param {Object} fastify - Fastify instance
@@ -255,47 +1668,137 @@ const handleRequest = (request, options) => {
  * @param {Function} done - Callback to signal completion
  */
 const fastifyMongoSanitize = (fastify, options, done) => {
-  const opt = { ...DEFAULT_OPTIONS, ...options };
+  const opt = bindLogger({ ...DEFAULT_OPTIONS, ...options }, fastify.log);
 
   log(opt.debug, 'info', 'PLUGIN', 'Initializing fastify-mongo-sanitize plugin', {
     mode: opt.mode,
+    hook: opt.hook,
     sanitizeObjects: opt.sanitizeObjects,
     skipRoutes: opt.skipRoutes,
     debugLevel: opt.debug.level,
   });
 
-  validateOptions(opt);
-
-  const skipRoutes = new Set((opt.skipRoutes || []).map(cleanUrl));
-  log(opt.debug, 'debug', 'PLUGIN', `Skip routes configured: ${skipRoutes.size} routes`);
+  try {
+    validateOptions(opt);
+  } catch (error) {
+    return done(error);
+  }
 
-  if (opt.mode === 'manual') {
-    log(opt.debug, 'info', 'PLUGIN', 'Manual mode enabled - decorating request with sanitize method');
+  const isSkippedRoute = compileSkipRoutes(opt.skipRoutes);
 
-    fastify.decorateRequest('sanitize', function (options = {}) {
-      const mergedOptions = { ...opt, ...options };
-      log(mergedOptions.debug, 'info', 'MANUAL', 'Manual sanitization triggered');
-      handleRequest(this, mergedOptions);
-    });
+  fastify.decorateRequest('sanitizationReport', null);
+  if (opt.preserveOriginal) {
+    for (const property of opt.sanitizeObjects) {
+      const name = originalPropertyName(property);
+      if (!fastify.hasRequestDecorator(name)) fastify.decorateRequest(name, null);
+    }
   }
 
-  if (opt.mode === 'auto') {
-    log(opt.debug, 'info', 'PLUGIN', 'Auto mode enabled - adding preHandler hook');
+  const routeCache = new WeakMap();
 
-    fastify.addHook('preHandler', (request, reply, done) => {
-      if (skipRoutes.size) {
-        const url = cleanUrl(request.url);
-        if (skipRoutes.has(url)) {
-          if (opt.debug.logSkippedRoutes) {
-            log(opt.debug, 'info', 'SKIP', `Route skipped: ${request.method} ${request.url}`);
-          }
-          return done();
-        }
+  fastify.addHook('onRoute', (routeOptions) => {
+    const resolved = resolveRouteOptions(routeOptions.config, opt, routeCache);
+    // Compiled once per route, requests reuse the cached rules
+    if (resolved?.useRouteSchema) compileRouteSchema(routeOptions.schema);
+  });
+
+  log(opt.debug, 'debug', 'PLUGIN', `Skip routes configured: ${opt.skipRoutes.length} routes`);
+  log(opt.debug, 'info', 'PLUGIN', `Default mode: ${opt.mode} - sanitizing in ${opt.hook} hook`);
+
+  fastify.decorate('mongoSanitize', (value, options) => sanitizeDetached(value, mergeOptions(opt, options)));
+
+  fastify.decorateRequest('sanitize', function (target, options) {
+    if (!isString(target) && !isArray(target)) [target, options] = [undefined, target];
+    if (target !== undefined && ![].concat(target).every(isString)) {
+      throw new FastifyMongoSanitizeError('Invalid sanitization target', 'type_error');
+    }
+
+    const routeOptions = resolveRouteOptions(getRouteConfig(this), opt, routeCache);
+    if (!routeOptions) return;
+
+    const mergedOptions = bindLogger(mergeOptions(routeOptions, options), this.log);
+    log(mergedOptions.debug, 'info', 'MANUAL', 'Manual sanitization triggered', { target });
+    // Returns a promise only when an asynchronous step is involved, synchronous sanitization stays synchronous.
+    // Targeted calls add to the report of earlier calls.
+    if (target === undefined) return handleRequest(this, mergedOptions);
+    return handleRequest(this, mergedOptions, [].concat(target), this.sanitizationReport);
+  });
+
+  fastify.decorateRequest('sanitizeValue', function (value, options) {
+    // Values are sanitized on explicit request, even on routes where the plugin is disabled
+    const routeOptions = resolveRouteOptions(getRouteConfig(this), opt, routeCache) ?? opt;
+    return sanitizeDetached(value, bindLogger(mergeOptions(routeOptions, options), this.log), this);
+  });
+
+  /**
+   * Sanitizes the given request properties if the request's route is sanitized automatically
+   * @param {Object} request - Fastify request object
+   * @param {Function} selectProperties - Selects the properties to sanitize from the route's sanitizeObjects
+   * @param {Object|null} report - Report of an earlier phase to continue
+   * @returns {void|Promise<void>} A promise when an asynchronous pipeline step was involved
+   * @throws {FastifyMongoSanitizeError} If the route options are invalid or the request is rejected
+   */
+  const sanitizeRoute = (request, selectProperties, report) => {
+    const routeOptions = resolveRouteOptions(getRouteConfig(request), opt, routeCache);
+    if (!routeOptions || routeOptions.mode !== 'auto') return;
+
+    const routeUrl = request.routeOptions?.url;
+    if (!report && isSkippedRoute(request.method, routeUrl, request.url)) {
+      if (opt.debug.logSkippedRoutes) {
+        log(bindLogger(opt, request.log).debug, 'info', 'SKIP', `Route skipped: ${request.method} ${request.url}`, {
+          method: request.method,
+          url: request.url,
+          route: routeUrl,
+        });
       }
+      return;
+    }
 
-      handleRequest(request, opt);
-      done();
-    });
+    return handleRequest(
+      request,
+      bindLogger(routeOptions, request.log),
+      selectProperties(routeOptions.sanitizeObjects),
+      report
+    );
+  };
+
+  /**
+   * Creates a hook running sanitizeRoute
+   * @param {Function} selectProperties - Selects the properties to sanitize from the route's sanitizeObjects
+   * @param {boolean} [continueReport=false] - Only run when an earlier phase sanitized the request, continuing its report
+   * @returns {Function} Fastify hook
+   */
+  const createHook =
+    (selectProperties, continueReport = false) =>
+    (request, reply, done) => {
+      if (continueReport && !request.sanitizationReport) return done();
+
+      let pending;
+      try {
+        pending = sanitizeRoute(request, selectProperties, continueReport ? request.sanitizationReport : null);
+      } catch (error) {
+        return done(error);
+      }
+      // Not returned: Fastify would also wait on a promise returned by a callback hook
+      if (isThenable(pending)) pending.then(() => done(), done);
+      else done();
+    };
+
+  if (opt.hook === 'onRequest') {
+    // The body is not parsed yet in onRequest, it is sanitized in preValidation right after parsing.
+    fastify.addHook(
+      'onRequest',
+      createHook((sanitizeObjects) => sanitizeObjects.filter((property) => property !== 'body'))
+    );
+    fastify.addHook(
+      'preValidation',
+      createHook((sanitizeObjects) => (sanitizeObjects.includes('body') ? ['body'] : []), true)
+    );
+  } else {
+    fastify.addHook(
+      opt.hook,
+      createHook((sanitizeObjects) => sanitizeObjects)
+    );
   }
 
   log(opt.debug, 'info', 'PLUGIN', 'Plugin initialization completed');
@@ -308,3 +1811,8 @@ module.exports = fp(fastifyMongoSanitize, {
 });
 module.exports.default = fastifyMongoSanitize;
 module.exports.fastifyMongoSanitize = fastifyMongoSanitize;
+module.exports.createSanitizer = createSanitizer;
+module.exports.FastifyMongoSanitizeError = FastifyMongoSanitizeError;
+module.exports.ALLOWED_HEADERS = ALLOWED_HEADERS;
+module.exports.EXEMPTIONS = EXEMPTIONS;
+module.exports.PATTERN_PRESETS = PATTERN_PRESETS;
@@ -2,7 +2,11 @@ const Fastify5 = require('fastify');
 const Fastify4 = require('fastify4');
 const { test } = require('node:test');
 const assert = require('node:assert');
+const { Writable } = require('node:stream');
 const mongoSanitizePlugin = require('../index');
+const { createSanitizer, FastifyMongoSanitizeError, PATTERN_PRESETS } = require('../index');
+const { deepClone, detectServerSideJs } = require('../helpers');
+const { createBaselineSanitizer } = require('../benchmark/baseline');
 
 const fastifyVersions = [
   {
@@ -395,6 +399,1446 @@ for (const version of fastifyVersions) {
     await fastify.close();
   });
 
+  test(`should reject requests with violations when onViolation is reject ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, {
+      onViolation: 'reject',
+    });
+
+    fastify.post('/reject', async (request, reply) => request.body);
+
+    let res = await fastify.inject({
+      method: 'POST',
+      url: '/reject?filter[$ne]=1',
+      payload: { user: { $where: 'sleep(1000)' }, name: 'john' },
+    });
+    assert.strictEqual(res.statusCode, 400);
+    const result = res.json();
+    assert.match(result.message, /body\.user\.\$where/);
+    assert.match(result.message, /query\.filter\[\$ne\]/);
+
+    res = await fastify.inject({
+      method: 'POST',
+      url: '/reject',
+      payload: { name: 'john' },
+    });
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.json(), { name: 'john' });
+
+    await fastify.close();
+  });
+
+  test(`should use rejectStatusCode when rejecting ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, {
+      onViolation: 'reject',
+      rejectStatusCode: 422,
+    });
+
+    fastify.post('/reject', async (request, reply) => request.body);
+
+    const res = await fastify.inject({
+      method: 'POST',
+      url: '/reject',
+      payload: { $gt: '' },
+    });
+    assert.strictEqual(res.statusCode, 422);
+
+    await fastify.close();
+  });
+
+  test(`should leave data untouched and record violations when onViolation is report ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, {
+      onViolation: 'report',
+    });
+
+    fastify.post('/report', async (request, reply) => ({
+      body: request.body,
+      report: request.sanitizationReport,
+    }));
+
+    const res = await fastify.inject({
+      method: 'POST',
+      url: '/report',
+      payload: { $where: 'x', name: 'john' },
+    });
+    assert.strictEqual(res.statusCode, 200);
+    const { body, report } = res.json();
+    assert.deepStrictEqual(body, { $where: 'x', name: 'john' });
+    assert.strictEqual(report.tampered, true);
+    assert.deepStrictEqual(report.violations, [
+      {
+        path: 'body.$where',
+        target: 'key',
+        original: '$where',
+        sanitized: 'where',
+        patterns: [0],
+        patternNames: ['mongoOperators'],
+        action: 'sanitized',
+        reason: null,
+      },
+    ]);
+
+    await fastify.close();
+  });
+
+  test(`should attach a detailed sanitization report to the request ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, {
+      deniedKeys: ['role'],
+      removeMatches: true,
+      patterns: [/[\$]/g, /\./g],
+    });
+
+    fastify.post('/report/:id', async (request, reply) => request.sanitizationReport);
+
+    const res = await fastify.inject({
+      method: 'POST',
+      url: '/report/42?page=1',
+      payload: { role: 'admin', name: 'john', filter: { $gt: 1 }, tags: ['a.b'] },
+    });
+    assert.strictEqual(res.statusCode, 200);
+    const report = res.json();
+
+    assert.strictEqual(report.tampered, true);
+    assert.deepStrictEqual(report.params, []);
+    assert.deepStrictEqual(report.query, []);
+    assert.deepStrictEqual(report.body, [
+      { path: 'body.role', target: 'key', original: 'role', patterns: [], action: 'removed', reason: 'deniedKeys' },
+      {
+        path: 'body.filter.$gt',
+        target: 'key',
+        original: '$gt',
+        sanitized: 'gt',
+        patterns: [0],
+        patternNames: ['/[\\$]/g'],
+        action: 'sanitized',
+        reason: null,
+      },
+      {
+        path: 'body.filter.$gt',
+        target: 'key',
+        original: '$gt',
+        patterns: [0],
+        patternNames: ['/[\\$]/g'],
+        action: 'removed',
+        reason: 'removeMatches',
+      },
+      {
+        path: 'body.tags[0]',
+        target: 'value',
+        original: 'a.b',
+        sanitized: 'ab',
+        patterns: [1],
+        patternNames: ['/\\./g'],
+        action: 'sanitized',
+        reason: null,
+      },
+    ]);
+    assert.strictEqual(report.violations.length, 3);
+
+    await fastify.close();
+  });
+
+  test(`should route debug output through the request logger ${name}`, async () => {
+    const lines = [];
+    const stream = new Writable({
+      write(chunk, encoding, callback) {
+        lines.push(JSON.parse(chunk.toString()));
+        callback();
+      },
+    });
+    const fastify = Fastify({ logger: { level: 'info', stream } });
+    fastify.register(mongoSanitizePlugin, {
+      debug: { enabled: true, level: 'debug' },
+    });
+
+    fastify.post('/logged', async (request, reply) => request.body);
+
+    const res = await fastify.inject({
+      method: 'POST',
+      url: '/logged',
+      payload: { $where: 'x' },
+    });
+    assert.strictEqual(res.statusCode, 200);
+
+    const pluginLines = lines.filter((line) => line.plugin === 'fastify-mongo-sanitize');
+    const requestLine = pluginLines.find((line) => line.context === 'REQUEST' && line.method === 'POST');
+    assert.ok(requestLine);
+    assert.ok(requestLine.reqId);
+
+    const patternLine = pluginLines.find((line) => line.context === 'STRING' && line.patternIndex === 0);
+    assert.ok(patternLine);
+    assert.strictEqual(patternLine.level, 20);
+    assert.strictEqual(patternLine.path, 'body.$where');
+    assert.strictEqual(patternLine.reqId, requestLine.reqId);
+
+    assert.ok(!pluginLines.some((line) => line.level < 20));
+
+    await fastify.close();
+  });
+
+  test(`should print debug output to the console only with debug.pretty ${name}`, async () => {
+    const printed = [];
+    const { log } = console;
+    console.log = (...args) => printed.push(args.join(' '));
+    try {
+      for (const pretty of [false, true]) {
+        const fastify = Fastify();
+        fastify.register(mongoSanitizePlugin, { debug: { enabled: true, level: 'debug', pretty } });
+        fastify.post('/logged', async (request, reply) => request.body);
+        await fastify.inject({ method: 'POST', url: '/logged', payload: { $where: 'x' } });
+        await fastify.close();
+        assert.strictEqual(
+          printed.some((line) => line.includes('[mongo-sanitize:INFO]') && line.includes('[REQUEST]')),
+          pretty
+        );
+      }
+    } finally {
+      console.log = log;
+    }
+  });
+
+  test(`should only remove operator keys with the operators strategy ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, {
+      strategy: 'operators',
+    });
+
+    fastify.post('/operators', async (request, reply) => request.body);
+
+    const res = await fastify.inject({
+      method: 'POST',
+      url: '/operators',
+      payload: {
+        price: '$5.00',
+        url: 'https://example.com/a?b=(c)',
+        file: 'report.v2.pdf',
+        $where: 'sleep(1000)',
+        'profile.role': 'admin',
+        filter: { $gt: '', name: 'a+b' },
+        items: [{ $ne: null, sku: 'x.1' }, '$tag'],
+      },
+    });
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.json(), {
+      price: '$5.00',
+      url: 'https://example.com/a?b=(c)',
+      file: 'report.v2.pdf',
+      filter: { name: 'a+b' },
+      items: [{ sku: 'x.1' }, '$tag'],
+    });
+
+    await fastify.close();
+  });
+
+  test(`should reject operator keys with the operators strategy and onViolation reject ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, {
+      strategy: 'operators',
+      onViolation: 'reject',
+    });
+
+    fastify.post('/operators', async (request, reply) => request.body);
+
+    let res = await fastify.inject({
+      method: 'POST',
+      url: '/operators',
+      payload: { password: { $ne: null } },
+    });
+    assert.strictEqual(res.statusCode, 400);
+    assert.match(res.json().message, /body\.password\.\$ne/);
+
+    res = await fastify.inject({
+      method: 'POST',
+      url: '/operators',
+      payload: { price: '$5.00' },
+    });
+    assert.strictEqual(res.statusCode, 200);
+
+    await fastify.close();
+  });
+
+  test(`should preserve allowedOperators with the expected value shape ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, {
+      strategy: 'operators',
+      allowedOperators: ['$gte', '$lte', '$in', '$or'],
+    });
+
+    fastify.post('/search', async (request, reply) => request.body);
+
+    let res = await fastify.inject({
+      method: 'POST',
+      url: '/search',
+      payload: {
+        price: { $gte: 10, $lte: 20 },
+        tags: { $in: ['a', 'b'] },
+        $or: [{ age: { $gte: 18 } }, { vip: true }],
+        name: { $ne: 'a' },
+        $where: 'sleep(1000)',
+      },
+    });
+    assert.deepStrictEqual(res.json(), {
+      price: { $gte: 10, $lte: 20 },
+      tags: { $in: ['a', 'b'] },
+      $or: [{ age: { $gte: 18 } }, { vip: true }],
+      name: {},
+    });
+
+    res = await fastify.inject({
+      method: 'POST',
+      url: '/search',
+      payload: { tags: { $in: 'a' }, price: { $gte: { $where: 'x' } }, items: { $in: [{ $gt: 1 }] } },
+    });
+    assert.deepStrictEqual(res.json(), { tags: {}, price: {}, items: {} });
+
+    await fastify.close();
+  });
+
+  test(`should scope allowedOperators to paths and routes ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, {
+      patterns: [/[\$]/g],
+    });
+
+    fastify.post(
+      '/search',
+      { config: { mongoSanitize: { allowedOperators: { price: ['$gte'], 'items[].qty': ['$lt'] } } } },
+      async (request, reply) => request.body
+    );
+    fastify.post('/users', async (request, reply) => request.body);
+
+    const payload = { price: { $gte: 10 }, items: [{ qty: { $lt: 5 } }], other: { $gte: 1 } };
+
+    let res = await fastify.inject({ method: 'POST', url: '/search', payload });
+    assert.deepStrictEqual(res.json(), {
+      price: { $gte: 10 },
+      items: [{ qty: { $lt: 5 } }],
+      other: { gte: 1 },
+    });
+
+    res = await fastify.inject({ method: 'POST', url: '/users', payload });
+    assert.deepStrictEqual(res.json(), {
+      price: { gte: 10 },
+      items: [{ qty: { lt: 5 } }],
+      other: { gte: 1 },
+    });
+
+    await fastify.close();
+  });
+
+  test(`should refuse to allow dangerous operators ${name}`, async () => {
+    let fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, {
+      allowedOperators: ['$in', '$where'],
+    });
+    await assert.rejects(fastify.ready(), /\$where cannot be allowed/);
+
+    fastify = Fastify();
+    fastify.register(mongoSanitizePlugin);
+    fastify.register(async (instance) => {
+      instance.post('/expr', { config: { mongoSanitize: { allowedOperators: ['$expr'] } } }, async () => ({}));
+    });
+    await assert.rejects(fastify.ready(), /\$expr cannot be allowed/);
+  });
+
+  test(`should merge route config over the plugin options ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, {
+      deniedKeys: ['role'],
+    });
+
+    fastify.post('/default', async (request, reply) => request.body);
+    fastify.post(
+      '/operators',
+      { config: { mongoSanitize: { strategy: 'operators', deniedKeys: null } } },
+      async (request, reply) => request.body
+    );
+    fastify.post(
+      '/strict',
+      { config: { mongoSanitize: { onViolation: 'reject' } } },
+      async (request, reply) => request.body
+    );
+    fastify.post('/raw', { config: { mongoSanitize: false } }, async (request, reply) => request.body);
+    fastify.post('/manual', { config: { mongoSanitize: { mode: 'manual' } } }, async (request, reply) => {
+      const before = request.body;
+      request.sanitize();
+      return { before, after: request.body };
+    });
+
+    const payload = { price: '$5.00', role: 'admin', filter: { $gt: '' } };
+
+    let res = await fastify.inject({ method: 'POST', url: '/default', payload });
+    assert.deepStrictEqual(res.json(), { price: '500', filter: { gt: '' } });
+
+    res = await fastify.inject({ method: 'POST', url: '/operators', payload });
+    assert.deepStrictEqual(res.json(), { price: '$5.00', role: 'admin', filter: {} });
+
+    res = await fastify.inject({ method: 'POST', url: '/strict', payload });
+    assert.strictEqual(res.statusCode, 400);
+
+    res = await fastify.inject({ method: 'POST', url: '/raw', payload });
+    assert.deepStrictEqual(res.json(), payload);
+
+    res = await fastify.inject({ method: 'POST', url: '/manual', payload });
+    assert.deepStrictEqual(res.json(), { before: payload, after: { price: '500', filter: { gt: '' } } });
+
+    await fastify.close();
+  });
+
+  test(`should validate route config when the route is registered ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin);
+    fastify.register(async (instance) => {
+      instance.post('/invalid', { config: { mongoSanitize: { strategy: 'unknown' } } }, async () => ({}));
+    });
+    await assert.rejects(fastify.ready(), /Invalid configuration: strategy/);
+  });
+
+  test(`should skip routes by template, wildcard, RegExp and method ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, {
+      skipRoutes: ['/users/:id', '/admin/*', /^\/hooks\/(github|stripe)$/, { method: 'GET', url: '/health' }],
+    });
+
+    const handler = async (request, reply) => ({ body: request.body, query: request.query });
+    fastify.post('/users/:id', handler);
+    fastify.post('/admin/settings/:key', handler);
+    fastify.post('/hooks/github', handler);
+    fastify.post('/hooks/other', handler);
+    fastify.get('/health', handler);
+    fastify.post('/health', handler);
+
+    const payload = { $foo: 'bar' };
+    for (const url of ['/users/42', '/admin/settings/theme', '/hooks/github']) {
+      const res = await fastify.inject({ method: 'POST', url, payload });
+      assert.deepStrictEqual(res.json().body, payload, url);
+    }
+
+    let res = await fastify.inject({ method: 'GET', url: '/health?$where=1' });
+    assert.deepStrictEqual(res.json().query, { $where: '1' });
+
+    res = await fastify.inject({ method: 'POST', url: '/health', payload });
+    assert.deepStrictEqual(res.json().body, { foo: 'bar' });
+
+    res = await fastify.inject({ method: 'POST', url: '/hooks/other', payload });
+    assert.deepStrictEqual(res.json().body, { foo: 'bar' });
+
+    await fastify.close();
+  });
+
+  test(`should reject invalid skipRoutes entries ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, {
+      skipRoutes: [{ method: 'GET' }],
+    });
+    await assert.rejects(fastify.ready(), /Invalid configuration: skipRoutes/);
+  });
+
+  test(`should sanitize before schema validation with the preValidation hook ${name}`, async () => {
+    const schema = {
+      body: {
+        type: 'object',
+        properties: { name: { type: 'string', pattern: '^[a-z]+$' } },
+      },
+    };
+    const payload = { name: '$admin' };
+
+    let fastify = Fastify();
+    fastify.register(mongoSanitizePlugin);
+    fastify.post('/validated', { schema }, async (request, reply) => request.body);
+    let res = await fastify.inject({ method: 'POST', url: '/validated', payload });
+    assert.strictEqual(res.statusCode, 400);
+    await fastify.close();
+
+    fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, { hook: 'preValidation' });
+    fastify.post('/validated', { schema }, async (request, reply) => request.body);
+    res = await fastify.inject({ method: 'POST', url: '/validated', payload });
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.json(), { name: 'admin' });
+    await fastify.close();
+  });
+
+  test(`should sanitize query and params in onRequest and the body once parsed ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, { hook: 'onRequest' });
+
+    fastify.post(
+      '/early/:id',
+      {
+        onRequest: async (request) => {
+          request.seen = { params: request.params, query: request.query, body: request.body };
+        },
+        schema: { body: { type: 'object', properties: { name: { type: 'string', pattern: '^[a-z]+$' } } } },
+      },
+      async (request, reply) => ({ seen: request.seen, body: request.body, report: request.sanitizationReport })
+    );
+
+    const res = await fastify.inject({ method: 'POST', url: '/early/$1?$where=x', payload: { name: '$admin' } });
+    assert.strictEqual(res.statusCode, 200);
+    const { seen, body, report } = res.json();
+    assert.deepStrictEqual(seen, { params: { id: '1' }, query: { where: 'x' } });
+    assert.deepStrictEqual(body, { name: 'admin' });
+    assert.deepStrictEqual(
+      report.violations.map((violation) => violation.path),
+      ['params.id', 'query.$where', 'body.name']
+    );
+
+    await fastify.close();
+  });
+
+  test(`should not allow the hook option in route config ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin);
+    fastify.register(async (instance) => {
+      instance.post('/hook', { config: { mongoSanitize: { hook: 'onRequest' } } }, async () => ({}));
+    });
+    await assert.rejects(fastify.ready(), /hook can only be set when registering the plugin/);
+  });
+
+  test(`should scope allowedKeys to paths ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, {
+      allowedKeys: ['name', 'user.profile.*', 'items[].sku', 'tags'],
+    });
+
+    fastify.post('/allowed-paths', async (request, reply) => request.body);
+
+    const res = await fastify.inject({
+      method: 'POST',
+      url: '/allowed-paths',
+      payload: {
+        name: 'john',
+        role: 'admin',
+        user: { name: 'jane', password: 'secret', profile: { bio: 'hi', links: { site: 'x' } } },
+        items: [{ sku: 'a1', price: 0 }],
+        nested: { name: 'deep' },
+        tags: [{ label: 'x' }],
+      },
+    });
+    assert.deepStrictEqual(res.json(), {
+      name: 'john',
+      user: { profile: { bio: 'hi', links: { site: 'x' } } },
+      items: [{ sku: 'a1' }],
+      tags: [{ label: 'x' }],
+    });
+
+    await fastify.close();
+  });
+
+  test(`should scope deniedKeys to paths ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, {
+      deniedKeys: ['**.password', 'user.role', 'items[].*.internal'],
+    });
+
+    fastify.post('/denied-paths', async (request, reply) => request.body);
+
+    const res = await fastify.inject({
+      method: 'POST',
+      url: '/denied-paths',
+      payload: {
+        password: 'a',
+        role: 'user',
+        user: { role: 'admin', password: 'b', profile: { password: 'c', role: 'owner' } },
+        items: [{ meta: { internal: true, color: 'red' } }],
+      },
+    });
+    assert.deepStrictEqual(res.json(), {
+      role: 'user',
+      user: { profile: { role: 'owner' } },
+      items: [{ meta: { color: 'red' } }],
+    });
+
+    await fastify.close();
+  });
+
+  test(`should remove prototype pollution keys at any depth ${name}`, async () => {
+    const fastify = Fastify({ onProtoPoisoning: 'ignore', onConstructorPoisoning: 'ignore' });
+    fastify.register(mongoSanitizePlugin);
+
+    fastify.post('/proto', async (request, reply) => ({
+      body: request.body,
+      polluted: Object.getPrototypeOf(request.body) !== Object.prototype || {}.isAdmin === true,
+      report: request.sanitizationReport,
+    }));
+
+    const res = await fastify.inject({
+      method: 'POST',
+      url: '/proto',
+      headers: { 'content-type': 'application/json' },
+      payload:
+        '{"__proto__":{"isAdmin":true},"user":{"constructor":{"prototype":{"isAdmin":true}},"$__proto__":{"x":1}},"name":"john"}',
+    });
+    assert.strictEqual(res.statusCode, 200);
+    const { body, polluted, report } = res.json();
+    assert.deepStrictEqual(body, { user: {}, name: 'john' });
+    assert.strictEqual(polluted, false);
+    assert.deepStrictEqual(
+      report.body.filter((entry) => entry.reason === 'prototypePollution').map((entry) => entry.path),
+      ['body.__proto__', 'body.user.constructor', 'body.user.$__proto__']
+    );
+
+    await fastify.close();
+  });
+
+  test(`should reject prototype pollution keys when configured ${name}`, async () => {
+    const fastify = Fastify({ onProtoPoisoning: 'ignore' });
+    fastify.register(mongoSanitizePlugin, { prototypePollution: 'reject' });
+
+    fastify.post('/proto', async (request, reply) => request.body);
+
+    const res = await fastify.inject({
+      method: 'POST',
+      url: '/proto',
+      headers: { 'content-type': 'application/json' },
+      payload: '{"profile":{"__proto__":{"isAdmin":true}}}',
+    });
+    assert.strictEqual(res.statusCode, 400);
+    assert.match(res.json().message, /Prototype pollution attempt at: body\.profile\.__proto__/);
+
+    await fastify.close();
+  });
+
+  test(`should reject payloads exceeding limits ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, { limits: { maxDepth: 3, maxArrayLength: 2 } });
+
+    fastify.post('/limits', async (request, reply) => request.body);
+
+    const deep = await fastify.inject({
+      method: 'POST',
+      url: '/limits',
+      payload: { a: { b: { c: { d: 1 } } } },
+    });
+    assert.strictEqual(deep.statusCode, 400);
+    assert.match(deep.json().message, /Limit exceeded: maxDepth of 3 at: body\.a\.b\.c/);
+
+    const large = await fastify.inject({ method: 'POST', url: '/limits', payload: { items: [1, 2, 3] } });
+    assert.strictEqual(large.statusCode, 413);
+
+    const valid = await fastify.inject({
+      method: 'POST',
+      url: '/limits',
+      payload: { a: { b: { c: 1 } }, items: [1, 2] },
+    });
+    assert.strictEqual(valid.statusCode, 200);
+
+    await fastify.close();
+  });
+
+  test(`should truncate payloads exceeding limits ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, {
+      limits: { maxDepth: 2, maxKeys: 3, maxArrayLength: 2, maxStringLength: 5, action: 'truncate' },
+    });
+
+    fastify.post('/limits', async (request, reply) => ({ body: request.body, report: request.sanitizationReport }));
+
+    const res = await fastify.inject({
+      method: 'POST',
+      url: '/limits',
+      payload: { name: 'johnathan', items: [1, 2, 3], nested: { deep: { x: 1 }, keep: true }, extra: 1 },
+    });
+    assert.strictEqual(res.statusCode, 200);
+    const { body, report } = res.json();
+    assert.deepStrictEqual(body, { name: 'johna', items: [1, 2], nested: { keep: true } });
+    assert.deepStrictEqual(
+      report.body.map(({ path, action, reason }) => [path, action, reason]),
+      [
+        ['body', 'truncated', 'limits'],
+        ['body.name', 'truncated', 'limits'],
+        ['body.items', 'truncated', 'limits'],
+        ['body.nested.deep', 'removed', 'limits'],
+      ]
+    );
+    assert.strictEqual(report.tampered, true);
+    assert.deepStrictEqual(report.violations, []);
+
+    await fastify.close();
+  });
+
+  test(`should sanitize circular request properties ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, { sanitizeObjects: ['session'] });
+    fastify.decorateRequest('session', null);
+
+    fastify.addHook('onRequest', async (request) => {
+      const session = { $user: 'john', items: [] };
+      session.self = session;
+      session.items.push(session.items, { owner: session });
+      request.session = session;
+    });
+
+    fastify.get('/circular', async (request, reply) => {
+      const { session } = request;
+      return {
+        keys: Object.keys(session),
+        self: session.self === session,
+        items: session.items[0] === session.items && session.items[1].owner === session,
+      };
+    });
+
+    const res = await fastify.inject({ method: 'GET', url: '/circular' });
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.json(), { keys: ['user', 'items', 'self'], self: true, items: true });
+
+    await fastify.close();
+  });
+
+  test(`should attribute matches of combined patterns ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, { patterns: [/\$/g, /\./g, /<[^>]*>/g, /drop/], replaceWith: '_' });
+
+    fastify.post('/patterns', async (request, reply) => ({ body: request.body, report: request.sanitizationReport }));
+
+    const res = await fastify.inject({
+      method: 'POST',
+      url: '/patterns',
+      payload: { text: 'a.b $c <b>bold</b>', other: 'drop drop', clean: 'plain text' },
+    });
+    const { body, report } = res.json();
+    assert.deepStrictEqual(body, { text: 'a_b _c _bold_', other: '_ drop', clean: 'plain text' });
+    assert.deepStrictEqual(
+      report.body.map(({ path, patterns }) => [path, patterns]),
+      [
+        ['body.text', [0, 1, 2]],
+        ['body.other', [3]],
+      ]
+    );
+
+    await fastify.close();
+  });
+
+  test(`should sanitize Map and Set bodies from custom parsers ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin);
+    fastify.addContentTypeParser('application/x-map', { parseAs: 'string' }, (request, body, done) => {
+      const { tags, ...fields } = JSON.parse(body);
+      done(null, new Map([...Object.entries(fields), ['tags', new Set(tags)]]));
+    });
+
+    fastify.post('/map', async (request, reply) => ({
+      isMap: request.body instanceof Map,
+      fields: Object.fromEntries([...request.body].filter(([key]) => key !== 'tags')),
+      tags: [...request.body.get('tags')],
+      report: request.sanitizationReport.body.map(({ path }) => path),
+    }));
+
+    const res = await fastify.inject({
+      method: 'POST',
+      url: '/map',
+      headers: { 'content-type': 'application/x-map' },
+      payload: JSON.stringify({ $where: 'sleep', user: { $ne: null }, tags: ['$admin', 'news'] }),
+    });
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.json(), {
+      isMap: true,
+      fields: { where: 'sleep', user: { ne: null } },
+      tags: ['admin', 'news'],
+      report: ['body.$where', 'body.user.$ne', 'body.tags[0]'],
+    });
+
+    await fastify.close();
+  });
+
+  test(`should sanitize headers except allowed ones ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, { sanitizeObjects: ['headers'], allowedHeaders: ['authorization', 'host'] });
+
+    fastify.get('/headers', async (request, reply) => ({
+      tenant: request.headers['x-tenant-id'],
+      filter: request.headers['x-user-filter'],
+      authorization: request.headers.authorization,
+      dropped: 'x-$where' in request.headers,
+      added: request.headers['x-where'],
+    }));
+
+    const res = await fastify.inject({
+      method: 'GET',
+      url: '/headers',
+      headers: {
+        'x-tenant-id': '$acme',
+        'x-user-filter': '{"$gt":""}',
+        'x-$where': 'sleep',
+        authorization: 'Bearer a.b.c',
+      },
+    });
+    assert.deepStrictEqual(res.json(), {
+      tenant: 'acme',
+      filter: '"gt":""',
+      authorization: 'Bearer a.b.c',
+      dropped: false,
+      added: 'sleep',
+    });
+
+    await fastify.close();
+  });
+
+  test(`should sanitize cookies ${name}`, async () => {
+    const fastify = Fastify();
+    // Stands in for @fastify/cookie, which parses request.cookies in an onRequest hook
+    fastify.decorateRequest('cookies', null);
+    fastify.addHook('onRequest', async (request) => {
+      request.cookies = Object.fromEntries(
+        request.headers.cookie.split('; ').map((cookie) => cookie.split('=').map(decodeURIComponent))
+      );
+    });
+    fastify.register(mongoSanitizePlugin, { sanitizeObjects: ['cookies'] });
+
+    fastify.get('/cookies', async (request, reply) => request.cookies);
+
+    const res = await fastify.inject({
+      method: 'GET',
+      url: '/cookies',
+      headers: { cookie: 'session=%24where; theme=dark' },
+    });
+    assert.deepStrictEqual(res.json(), { session: 'where', theme: 'dark' });
+
+    await fastify.close();
+  });
+
+  test(`should sanitize multipart fields attached to the body ${name}`, async () => {
+    const fastify = Fastify();
+    const file = { type: 'file', fieldname: 'avatar', filename: 'me.png', mimetype: 'image/png', data: '$raw' };
+    // Stands in for @fastify/multipart with attachFieldsToBody
+    fastify.decorateRequest('isMultipart', function () {
+      return this.headers['content-type'].startsWith('multipart/');
+    });
+    fastify.addContentTypeParser('multipart/form-data', (request, payload, done) => {
+      const field = (fieldname, value) => ({ type: 'field', fieldname, mimetype: 'text/plain', value });
+      done(null, { name: field('name', '$john'), tags: [field('tags', 'a.b'), field('tags', 'c')], avatar: file });
+    });
+    fastify.register(mongoSanitizePlugin);
+
+    fastify.post('/upload', async (request, reply) => ({
+      name: request.body.name.value,
+      tags: request.body.tags.map((part) => part.value),
+      file: request.body.avatar === file,
+    }));
+
+    const res = await fastify.inject({
+      method: 'POST',
+      url: '/upload',
+      headers: { 'content-type': 'multipart/form-data; boundary=x' },
+      payload: '--x--',
+    });
+    assert.deepStrictEqual(res.json(), { name: 'john', tags: ['ab', 'c'], file: true });
+
+    const forged = await fastify.inject({
+      method: 'POST',
+      url: '/upload',
+      payload: { name: { type: 'file', fieldname: 'name', value: '$john' }, tags: [], avatar: {} },
+    });
+    assert.strictEqual(forged.json().name, 'john');
+
+    await fastify.close();
+  });
+
+  test(`should sanitize streamed multipart fields ${name}`, async () => {
+    const build = (options) => {
+      const fastify = Fastify();
+      // Stands in for @fastify/multipart, whose request.parts() yields parts as they are parsed
+      fastify.decorateRequest('isMultipart', () => true);
+      fastify.decorateRequest('parts', async function* () {
+        yield { type: 'field', fieldname: 'name', value: '$john' };
+        yield { type: 'file', fieldname: 'avatar', filename: 'me.png' };
+        yield { type: 'field', fieldname: '__proto__', value: 'x' };
+        yield { type: 'field', fieldname: '$role', value: 'admin' };
+      });
+      fastify.addContentTypeParser('multipart/form-data', (request, payload, done) => done(null));
+      fastify.register(mongoSanitizePlugin, options);
+
+      fastify.post('/stream', async (request, reply) => {
+        const parts = [];
+        for await (const part of request.parts()) parts.push([part.fieldname, part.value ?? part.filename]);
+        return { parts, report: request.sanitizationReport.body.map(({ path }) => path) };
+      });
+      return fastify;
+    };
+    const request = {
+      method: 'POST',
+      url: '/stream',
+      headers: { 'content-type': 'multipart/form-data; boundary=x' },
+      payload: '--x--',
+    };
+
+    const fastify = build();
+    const res = await fastify.inject(request);
+    assert.deepStrictEqual(res.json(), {
+      parts: [
+        ['name', 'john'],
+        ['avatar', 'me.png'],
+        ['role', 'admin'],
+      ],
+      report: ['body.name', 'body.__proto__', 'body.$role'],
+    });
+    await fastify.close();
+
+    const strict = build({ onViolation: 'reject' });
+    const rejected = await strict.inject(request);
+    assert.strictEqual(rejected.statusCode, 400);
+    assert.match(rejected.json().message, /at: body\.name/);
+    await strict.close();
+  });
+
+  test(`should keep array and primitive bodies intact ${name}`, async () => {
+    const fastify = Fastify();
+    let received;
+    fastify.register(mongoSanitizePlugin, {
+      sanitizeObjects: ['body'],
+      customSanitizer: (value) => {
+        received = value;
+        return value;
+      },
+    });
+    fastify.post('/custom', async (request) => request.body);
+
+    const plain = Fastify();
+    plain.register(mongoSanitizePlugin);
+    plain.post('/array', async (request) => request.body);
+    plain.post('/text', async (request) => ({ body: request.body }));
+
+    const array = await plain.inject({ method: 'POST', url: '/array', payload: [{ $gt: 1 }, '$admin'] });
+    assert.deepStrictEqual(array.json(), [{ gt: 1 }, 'admin']);
+
+    const text = await plain.inject({
+      method: 'POST',
+      url: '/text',
+      headers: { 'content-type': 'text/plain' },
+      payload: '$where',
+    });
+    assert.deepStrictEqual(text.json(), { body: 'where' });
+
+    await fastify.inject({ method: 'POST', url: '/custom', payload: [{ $gt: 1 }] });
+    assert.ok(Array.isArray(received));
+    assert.deepStrictEqual(received, [{ $gt: 1 }]);
+
+    await fastify.close();
+    await plain.close();
+  });
+
+  test(`should expose untouched originals with preserveOriginal ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, { preserveOriginal: true, inPlace: true });
+    fastify.post('/audit/:id', async (request) => ({
+      body: request.body,
+      originalBody: request.originalBody,
+      originalQuery: request.originalQuery,
+      originalParams: request.originalParams,
+    }));
+    fastify.get('/plain', async (request) => ({ originalBody: request.originalBody }));
+
+    const res = await fastify.inject({
+      method: 'POST',
+      url: '/audit/$1?filter[$ne]=x',
+      payload: { user: { $ne: null }, tags: ['$a'] },
+    });
+    assert.deepStrictEqual(res.json(), {
+      body: { user: { ne: null }, tags: ['a'] },
+      originalBody: { user: { $ne: null }, tags: ['$a'] },
+      originalQuery: { 'filter[$ne]': 'x' },
+      originalParams: { id: '$1' },
+    });
+
+    const plain = await fastify.inject({ method: 'GET', url: '/plain' });
+    assert.deepStrictEqual(plain.json(), { originalBody: null });
+    await fastify.close();
+  });
+
+  test(`should run pipeline steps with the request context ${name}`, async () => {
+    const fastify = Fastify();
+    const calls = [];
+    fastify.register(mongoSanitizePlugin, {
+      pipeline: [
+        {
+          name: 'tenant',
+          level: 'node',
+          phase: 'before',
+          run: (value, { path, requestProperty, request }) => {
+            if (path === 'body') calls.push([requestProperty, request.headers['x-tenant']]);
+            return path === 'body' ? { ...value, tenant: request.headers['x-tenant'] } : value;
+          },
+        },
+        { name: 'lowercase', level: 'key', run: (key) => key.toLowerCase() },
+        { name: 'secret', run: (value, { key }) => (key === 'secret' ? undefined : value) },
+        {
+          name: 'lookup',
+          run: async (value, { key }) => (key === 'role' ? `${value}@${await Promise.resolve('acme')}` : value),
+        },
+      ],
+    });
+    fastify.post('/pipeline', async (request) => ({
+      body: request.body,
+      steps: request.sanitizationReport.body.filter((entry) => entry.step).map(({ path, step }) => [path, step]),
+    }));
+
+    const res = await fastify.inject({
+      method: 'POST',
+      url: '/pipeline',
+      headers: { 'x-tenant': '$t1' },
+      payload: { Name: '$john', role: 'user', secret: 'hunter2' },
+    });
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.json(), {
+      body: { name: 'john', role: 'user@acme', tenant: 't1' },
+      steps: [
+        ['body', 'tenant'],
+        ['body.Name', 'lowercase'],
+        ['body.role', 'lookup'],
+        ['body.secret', 'secret'],
+      ],
+    });
+    assert.deepStrictEqual(calls, [['body', '$t1']]);
+    await fastify.close();
+  });
+
+  test(`should reject requests when an async pipeline step throws ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, {
+      pipeline: [
+        {
+          name: 'quota',
+          run: async (value) => {
+            if (value === 'over') throw new FastifyMongoSanitizeError('Quota exceeded', 'quota', { statusCode: 429 });
+            return value;
+          },
+        },
+      ],
+    });
+    fastify.post('/quota', async (request) => request.body);
+
+    const ok = await fastify.inject({ method: 'POST', url: '/quota', payload: { plan: 'under' } });
+    assert.deepStrictEqual(ok.json(), { plan: 'under' });
+    const rejected = await fastify.inject({ method: 'POST', url: '/quota', payload: { plan: 'over' } });
+    assert.strictEqual(rejected.statusCode, 429);
+    assert.strictEqual(rejected.json().message, 'Quota exceeded');
+    await fastify.close();
+  });
+
+  test(`should return a promise from request.sanitize() only with async steps ${name}`, async () => {
+    const fastify = Fastify();
+    const lookup = { name: 'lookup', run: async (value) => (value === 'admin' ? 'user' : value) };
+    fastify.register(mongoSanitizePlugin, { mode: 'manual', onViolation: 'reject' });
+
+    fastify.post('/sync', async (request) => {
+      const result = request.sanitize();
+      return { sync: result === undefined, body: request.body };
+    });
+    fastify.post('/async', async (request) => {
+      const pending = request.sanitize({ pipeline: [lookup] });
+      const isPromise = pending instanceof Promise;
+      await pending;
+      return { isPromise, body: request.body };
+    });
+
+    const sync = await fastify.inject({ method: 'POST', url: '/sync', payload: { role: 'admin' } });
+    assert.deepStrictEqual(sync.json(), { sync: true, body: { role: 'admin' } });
+
+    const async = await fastify.inject({ method: 'POST', url: '/async', payload: { role: 'admin' } });
+    assert.deepStrictEqual(async.json(), { isPromise: true, body: { role: 'user' } });
+
+    const rejected = await fastify.inject({ method: 'POST', url: '/async', payload: { role: { $ne: 'admin' } } });
+    assert.strictEqual(rejected.statusCode, 400);
+    assert.match(rejected.json().message, /at: body\.role\.\$ne/);
+    await fastify.close();
+  });
+
+  test(`should await async steps in every hook phase ${name}`, async () => {
+    const fastify = Fastify();
+    const delay = { name: 'delay', run: (value) => new Promise((resolve) => setImmediate(resolve, value)) };
+    fastify.register(mongoSanitizePlugin, {
+      hook: 'onRequest',
+      pipeline: [delay],
+      limits: { maxArrayLength: 2 },
+    });
+    fastify.post('/phases/:id', async (request) => ({
+      params: request.params,
+      query: request.query,
+      body: request.body,
+      report: request.sanitizationReport.violations.map(({ path }) => path),
+    }));
+
+    const res = await fastify.inject({ method: 'POST', url: '/phases/$1?q=$a', payload: { $n: '$b' } });
+    assert.deepStrictEqual(res.json(), {
+      params: { id: '1' },
+      query: { q: 'a' },
+      body: { n: 'b' },
+      report: ['params.id', 'query.q', 'body.$n', 'body.$n'],
+    });
+
+    const tooLong = await fastify.inject({ method: 'POST', url: '/phases/1', payload: { list: [1, 2, 3] } });
+    assert.strictEqual(tooLong.statusCode, 413);
+    await fastify.close();
+  });
+
+  test(`should sanitize selected request properties in manual mode ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, { mode: 'manual' });
+    fastify.post('/manual/:id', async (request) => {
+      request.sanitize('body');
+      const afterBody = { query: { ...request.query }, params: { ...request.params } };
+      request.sanitize(['query', 'params'], { replaceWith: '_' });
+      return {
+        afterBody,
+        body: request.body,
+        query: request.query,
+        params: request.params,
+        paths: request.sanitizationReport.violations.map(({ path }) => path),
+      };
+    });
+    fastify.post('/invalid', async (request) => request.sanitize([1]));
+    fastify.post('/invalid-options', async (request) => request.sanitize({ patterns: 'oops' }));
+
+    const res = await fastify.inject({ method: 'POST', url: '/manual/$1?q=$a', payload: { $n: 1 } });
+    assert.deepStrictEqual(res.json(), {
+      afterBody: { query: { q: '$a' }, params: { id: '$1' } },
+      body: { n: 1 },
+      query: { q: '_a' },
+      params: { id: '_1' },
+      paths: ['body.$n', 'query.q', 'params.id'],
+    });
+
+    const invalid = await fastify.inject({ method: 'POST', url: '/invalid', payload: {} });
+    assert.strictEqual(invalid.statusCode, 500);
+    assert.strictEqual(invalid.json().message, 'Invalid sanitization target');
+
+    const invalidOptions = await fastify.inject({ method: 'POST', url: '/invalid-options', payload: {} });
+    assert.strictEqual(invalidOptions.statusCode, 500);
+    assert.strictEqual(invalidOptions.json().message, 'Invalid configuration: patterns');
+    await fastify.close();
+  });
+
+  test(`should sanitize arbitrary values with fastify.mongoSanitize and request.sanitizeValue ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, { strategy: 'operators' });
+    fastify.post('/claims', { config: { mongoSanitize: false } }, async (request) => {
+      const claims = { sub: 'user-1', org: { $ne: null } };
+      const { value, violations } = request.sanitizeValue(claims);
+      return { value, claims, paths: violations.map(({ path }) => path) };
+    });
+
+    await fastify.ready();
+    const result = fastify.mongoSanitize({ price: '$5', filter: { $where: '1' } });
+    assert.deepStrictEqual(result.value, { price: '$5', filter: {} });
+    assert.deepStrictEqual(
+      result.violations.map(({ path }) => path),
+      ['filter.$where']
+    );
+    assert.deepStrictEqual(fastify.mongoSanitize('$5', { strategy: 'aggressive' }).value, '5');
+    assert.throws(() => fastify.mongoSanitize({ $a: 1 }, { onViolation: 'reject' }), FastifyMongoSanitizeError);
+    assert.throws(() => fastify.mongoSanitize({}, { strategy: 'none' }), /Invalid configuration: strategy/);
+
+    const res = await fastify.inject({ method: 'POST', url: '/claims', payload: {} });
+    assert.deepStrictEqual(res.json(), {
+      value: { sub: 'user-1', org: {} },
+      claims: { sub: 'user-1', org: { $ne: null } },
+      paths: ['org.$ne'],
+    });
+    await fastify.close();
+  });
+
+  test(`should derive per-field rules from the route schema ${name}`, async () => {
+    const fastify = Fastify({ ajv: { customOptions: { keywords: ['x-mongo-filter'] } } });
+    fastify.register(mongoSanitizePlugin, { useRouteSchema: true });
+    fastify.register(async (instance) => {
+      const schema = {
+        querystring: { type: 'object', properties: { q: { type: 'string' } } },
+        body: {
+          type: 'object',
+          properties: {
+            email: { type: 'string', format: 'email' },
+            website: { type: 'string', format: 'uri' },
+            bio: { type: 'string' },
+            age: { type: 'integer' },
+            filter: { type: 'object', 'x-mongo-filter': true },
+            sort: { type: 'object', 'x-mongo-filter': ['$meta'] },
+            tags: { type: 'array', items: { type: 'string' } },
+            profile: { type: 'object', properties: { name: { type: 'string' } } },
+            meta: { type: 'object', additionalProperties: true },
+            open: { type: 'object', properties: { name: { type: 'string' } }, additionalProperties: {} },
+            typed: {
+              type: 'object',
+              properties: { name: { type: 'string' } },
+              additionalProperties: { type: 'object' },
+            },
+            notes: {},
+          },
+        },
+      };
+      instance.post('/schema', { schema }, async (request) => ({
+        query: request.query,
+        body: request.body,
+        removed: request.sanitizationReport.body.filter(({ reason }) => reason === 'schema').map(({ path }) => path),
+      }));
+      instance.post('/plain', async (request) => request.body);
+    });
+
+    const res = await fastify.inject({
+      method: 'POST',
+      url: '/schema?q=$a.b&debug=1',
+      payload: {
+        email: 'john.doe@example.com',
+        website: 'https://example.com/a?b=1',
+        bio: 'I charge $5.00 (per hour)',
+        age: 30,
+        filter: { age: { $gt: 18 }, $where: 'sleep(1)', 'a.b': 1 },
+        sort: { score: { $meta: 'textScore' }, $natural: 1 },
+        tags: ['$a.b'],
+        profile: { name: '$john', role: 'admin' },
+        meta: { $a: 'x.y' },
+        open: { name: '$a', extra: '$e' },
+        typed: { name: '$a', more: { $x: 1 } },
+        notes: { $b: 'y.z' },
+        unknown: 'x',
+      },
+    });
+    assert.deepStrictEqual(res.json(), {
+      query: { q: '$a.b' },
+      body: {
+        email: 'john.doe@example.com',
+        website: 'https://example.com/a?b=1',
+        bio: 'I charge $5.00 (per hour)',
+        age: 30,
+        filter: { age: { $gt: 18 } },
+        sort: { score: { $meta: 'textScore' } },
+        tags: ['$a.b'],
+        profile: { name: '$john' },
+        meta: { a: 'xy' },
+        open: { name: '$a', extra: 'e' },
+        typed: { name: '$a', more: { x: 1 } },
+        notes: { b: 'yz' },
+      },
+      removed: ['body.profile.role', 'body.unknown'],
+    });
+
+    const plain = await fastify.inject({ method: 'POST', url: '/plain', payload: { bio: '$a.b' } });
+    assert.deepStrictEqual(plain.json(), { bio: 'ab' });
+    await fastify.close();
+
+    const invalid = Fastify({ ajv: { customOptions: { keywords: ['x-mongo-filter'] } } });
+    invalid.register(mongoSanitizePlugin, { useRouteSchema: true });
+    invalid.register(async (instance) => {
+      const body = { type: 'object', properties: { filter: { type: 'object', 'x-mongo-filter': ['$where'] } } };
+      instance.post('/invalid', { schema: { body } }, async () => ({}));
+    });
+    await assert.rejects(invalid.ready(), /\$where cannot be allowed/);
+  });
+
+  test(`should leave exempt values untouched globally or per path ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, {
+      exemptions: {
+        '*': ['email', 'uuid'],
+        'profile.website': ['url'],
+        'items[].price': ['decimal'],
+        'items[].sku': [{ name: 'sku', test: (value) => /^SKU\.\d+$/.test(value) }],
+      },
+    });
+    fastify.post('/exempt', async (request) => request.body);
+    fastify.register(async (instance) => {
+      instance.post('/strict', { config: { mongoSanitize: { exemptions: [] } } }, async (request) => request.body);
+    });
+
+    const payload = {
+      email: 'john.doe@example.com',
+      id: '0f8fad5b-d9cb-469f-a165-70867728950e',
+      profile: { website: 'https://example.com/a?b=1', blog: 'https://example.com' },
+      items: [{ price: '12.50', sku: 'SKU.42', name: 'SKU.42' }],
+      total: '12.50',
+    };
+    const res = await fastify.inject({ method: 'POST', url: '/exempt', payload });
+    assert.deepStrictEqual(res.json(), {
+      email: 'john.doe@example.com',
+      id: '0f8fad5b-d9cb-469f-a165-70867728950e',
+      profile: { website: 'https://example.com/a?b=1', blog: 'https:examplecom' },
+      items: [{ price: '12.50', sku: 'SKU.42', name: 'SKU42' }],
+      total: '1250',
+    });
+
+    const strict = await fastify.inject({ method: 'POST', url: '/strict', payload: { email: 'john.doe@example.com' } });
+    assert.deepStrictEqual(strict.json(), { email: 'johndoe@examplecom' });
+    await fastify.close();
+  });
+
+  test(`should record rejected matches as violations in report mode ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, { onViolation: 'report', patterns: ['mongoOperators', 'serverSideJs'] });
+    fastify.post('/report', async (request) => ({ body: request.body, report: request.sanitizationReport }));
+    fastify.post('/javascript', { config: { mongoSanitize: { serverSideJs: 'reject' } } }, async (request) => ({
+      body: request.body,
+      report: request.sanitizationReport,
+    }));
+    fastify.post('/policy', { config: { mongoSanitize: { removeKeyMatches: 'reject' } } }, async (request) => ({
+      body: request.body,
+      report: request.sanitizationReport,
+    }));
+
+    const payload = { job: 'while (true) {}', $a: 'b' };
+    const res = await fastify.inject({ method: 'POST', url: '/report', payload });
+    assert.strictEqual(res.statusCode, 200);
+    const { body, report } = res.json();
+    assert.deepStrictEqual(body, payload);
+    assert.deepStrictEqual(
+      report.violations.map(({ path, action, reason, patternNames }) => [path, action, reason, patternNames]),
+      [
+        ['body.job', 'detected', 'pattern', ['serverSideJs']],
+        ['body.$a', 'sanitized', null, ['mongoOperators']],
+      ]
+    );
+
+    const javascript = await fastify.inject({ method: 'POST', url: '/javascript', payload: { q: 'sleep(5000)' } });
+    assert.strictEqual(javascript.statusCode, 200);
+    assert.deepStrictEqual(
+      javascript
+        .json()
+        .report.violations.map(({ path, action, reason, constructs }) => [path, action, reason, constructs]),
+      [
+        ['body.q', 'detected', 'pattern', undefined],
+        ['body.q', 'detected', 'serverSideJs', ['sleep']],
+      ]
+    );
+
+    const policy = await fastify.inject({ method: 'POST', url: '/policy', payload: { $a: 'b' } });
+    assert.strictEqual(policy.statusCode, 200);
+    assert.deepStrictEqual(policy.json().body, { $a: 'b' });
+    assert.deepStrictEqual(
+      policy.json().report.violations.map(({ path, action, reason }) => [path, action, reason]),
+      [
+        ['body.$a', 'sanitized', null],
+        ['body.$a', 'detected', 'removeKeyMatches'],
+      ]
+    );
+    await fastify.close();
+  });
+
+  test(`should apply named patterns with their own targets and actions ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, {
+      patterns: [
+        'mongoOperators',
+        'controlChars',
+        { name: 'html', regex: /<[^>]*>/g, appliesTo: 'value' },
+        { name: 'secret', regex: /^secret/, appliesTo: 'key', action: 'remove' },
+        'serverSideJs',
+      ],
+    });
+    fastify.post('/patterns', async (request) => ({ body: request.body, report: request.sanitizationReport }));
+
+    const res = await fastify.inject({
+      method: 'POST',
+      url: '/patterns',
+      payload: { $name: 'a<b>c\u0000', secretKey: 'x', note: 'a.b', '<k>': 'v' },
+    });
+    const { body, report } = res.json();
+    assert.deepStrictEqual(body, { name: 'ac', note: 'a.b', '<k>': 'v' });
+    assert.deepStrictEqual(
+      report.body.map(({ path, target, patternNames, reason }) => [path, target, patternNames, reason]),
+      [
+        ['body.$name', 'key', ['mongoOperators'], null],
+        ['body.$name', 'value', ['controlChars', 'html'], null],
+        ['body.secretKey', 'key', ['secret'], null],
+        ['body.secretKey', 'key', ['secret'], 'pattern'],
+      ]
+    );
+
+    const rejected = await fastify.inject({
+      method: 'POST',
+      url: '/patterns',
+      payload: { filter: { q: 'function () { sleep(5000) }' } },
+    });
+    assert.strictEqual(rejected.statusCode, 400);
+    assert.match(rejected.json().message, /Pattern 'serverSideJs' matched at: body\.filter\.q/);
+    await fastify.close();
+  });
+
+  test(`should apply separate key and value match policies ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, { removeKeyMatches: 'remove', removeValueMatches: 'strip' });
+    fastify.post('/default', async (request) => request.body);
+    fastify.post(
+      '/nullify',
+      { config: { mongoSanitize: { removeKeyMatches: 'nullify', removeValueMatches: 'nullify' } } },
+      async (request) => ({ body: request.body, report: request.sanitizationReport })
+    );
+    fastify.post(
+      '/drop',
+      { config: { mongoSanitize: { removeValueMatches: 'remove' } } },
+      async (request) => request.body
+    );
+    fastify.post('/reject', { config: { mongoSanitize: { removeValueMatches: 'reject' } } }, async () => 'ok');
+
+    const payload = { $where: 'x', name: 'a.b', tags: ['ok', '$x'] };
+    const stripped = await fastify.inject({ method: 'POST', url: '/default', payload });
+    assert.deepStrictEqual(stripped.json(), { name: 'ab', tags: ['ok', 'x'] });
+
+    const dropped = await fastify.inject({ method: 'POST', url: '/drop', payload });
+    assert.deepStrictEqual(dropped.json(), { tags: ['ok'] });
+
+    const nullified = await fastify.inject({ method: 'POST', url: '/nullify', payload });
+    const { body, report } = nullified.json();
+    assert.deepStrictEqual(body, { where: null, name: null, tags: ['ok', null] });
+    assert.deepStrictEqual(
+      report.body
+        .filter(({ reason }) => reason)
+        .map(({ path, target, action, reason }) => [path, target, action, reason]),
+      [
+        ['body.$where', 'key', 'sanitized', 'removeKeyMatches'],
+        ['body.name', 'value', 'sanitized', 'removeValueMatches'],
+        ['body.tags[1]', 'value', 'sanitized', 'removeValueMatches'],
+      ]
+    );
+
+    const rejected = await fastify.inject({ method: 'POST', url: '/reject', payload: { q: ['a.b'] } });
+    assert.strictEqual(rejected.statusCode, 400);
+    assert.match(rejected.json().message, /Pattern 'dotNotation' matched at: body\.q\[0\]/);
+    await fastify.close();
+  });
+
+  test(`should detect server-side JavaScript in string values ${name}`, async () => {
+    const fastify = Fastify();
+    fastify.register(mongoSanitizePlugin, { serverSideJs: 'report' });
+    fastify.post('/report', async (request) => ({ body: request.body, report: request.sanitizationReport }));
+    fastify.post('/reject', { config: { mongoSanitize: { serverSideJs: 'reject' } } }, async () => 'ok');
+    fastify.post(
+      '/strict',
+      { config: { mongoSanitize: { onViolation: 'reject', strategy: 'operators' } } },
+      async () => 'ok'
+    );
+
+    const payload = {
+      where: 'function(){ sleep(5000) }',
+      filter: { match: 'this.password.match(/.*/)' },
+      jobs: ['while (true) {}', 'I like this. Really'],
+    };
+    const res = await fastify.inject({ method: 'POST', url: '/report', payload });
+    const { body, report } = res.json();
+    assert.strictEqual(body.where, 'function(){ sleep(5000) }'.replace(/[(){}.]/g, ''));
+    assert.deepStrictEqual(
+      report.violations
+        .filter(({ reason }) => reason === 'serverSideJs')
+        .map(({ path, action, constructs }) => [path, action, constructs]),
+      [
+        ['body.where', 'detected', ['function', 'sleep']],
+        ['body.filter.match', 'detected', ['thisReference']],
+        ['body.jobs[0]', 'detected', ['infiniteLoop']],
+      ]
+    );
+
+    const rejected = await fastify.inject({ method: 'POST', url: '/reject', payload });
+    assert.strictEqual(rejected.statusCode, 400);
+    assert.match(rejected.json().message, /Server-side JavaScript detected at: body\.where/);
+
+    const strict = await fastify.inject({ method: 'POST', url: '/strict', payload: { where: 'emit(1, 2)' } });
+    assert.strictEqual(strict.statusCode, 400);
+    const safe = await fastify.inject({ method: 'POST', url: '/strict', payload: { note: 'a function of time (t)' } });
+    assert.strictEqual(safe.statusCode, 200);
+    await fastify.close();
+  });
+
   test('should not sanitize nested objects/arrays if recursive is false', async () => {
     const fastify = require('fastify')();
     fastify.register(mongoSanitizePlugin, {
@@ -421,3 +1865,379 @@ for (const version of fastifyVersions) {
     });
   });
 }
+
+test('should sanitize values with a standalone sanitizer', () => {
+  const sanitize = createSanitizer({ strategy: 'operators' });
+  const payload = { filter: { $where: 'sleep(1000)', name: 'john' }, items: [{ $gt: 1 }, '$5.00'] };
+
+  assert.deepStrictEqual(sanitize(payload), { filter: { name: 'john' }, items: [{}, '$5.00'] });
+  assert.deepStrictEqual(payload.filter, { $where: 'sleep(1000)', name: 'john' });
+  assert.deepStrictEqual(sanitize([{ $ne: null }]), [{}]);
+  assert.strictEqual(createSanitizer()('$admin'), 'admin');
+});
+
+test('should reject violations and invalid options in a standalone sanitizer', () => {
+  const sanitize = createSanitizer({ onViolation: 'reject' });
+
+  assert.throws(
+    () => sanitize({ user: { $ne: null } }),
+    (error) =>
+      error instanceof FastifyMongoSanitizeError &&
+      error.type === 'injection_detected' &&
+      error.violations[0].path === 'user.$ne'
+  );
+  assert.deepStrictEqual(sanitize({ user: 'john' }), { user: 'john' });
+  assert.throws(() => createSanitizer({ strategy: 'unknown' }), /Invalid configuration: strategy/);
+});
+
+test('should never set the prototype of sanitized objects', () => {
+  const sanitize = createSanitizer({ prototypePollution: false });
+  const result = sanitize(JSON.parse('{"__proto__":{"isAdmin":true}}'));
+
+  assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+  assert.strictEqual(result.isAdmin, undefined);
+  assert.deepStrictEqual(Object.keys(result), ['__proto__']);
+});
+
+test('should bound the total number of nodes in a standalone sanitizer', () => {
+  const payload = { a: [1, 2, 3], b: { c: 1 } };
+
+  assert.throws(
+    () => createSanitizer({ limits: { maxTotalNodes: 4 } })(payload),
+    (error) => error.type === 'limit_exceeded' && error.statusCode === 413 && /at: a\[2\]/.test(error.message)
+  );
+  assert.deepStrictEqual(createSanitizer({ limits: { maxTotalNodes: 4, action: 'truncate' } })(payload), {
+    a: [1, 2],
+  });
+  assert.deepStrictEqual(createSanitizer({ limits: { maxTotalNodes: 7 } })(payload), payload);
+  assert.throws(() => createSanitizer({ limits: { maxDepth: 0 } }), /Invalid configuration: limits/);
+});
+
+test('should sanitize deeply nested values without exhausting the call stack', () => {
+  let payload = { $value: 'x' };
+  for (let i = 0; i < 20000; i++) payload = { nested: payload };
+
+  let result = createSanitizer()(payload);
+  for (let i = 0; i < 20000; i++) result = result.nested;
+  assert.deepStrictEqual(result, { value: 'x' });
+});
+
+test('should match global patterns consistently across strings', () => {
+  const sanitize = createSanitizer({ removeMatches: true, patterns: [/\$/g] });
+
+  assert.deepStrictEqual(sanitize({ a: '$x', b: '$y', c: 'z' }), { c: 'z' });
+  assert.strictEqual(createSanitizer({ replaceWith: '[$&]', patterns: [/\$/g, /\./g] })('$a.b'), '[$]a[.]b');
+});
+
+test('should preserve binary and BSON values but not forged BSON literals', () => {
+  class ObjectId {
+    constructor(id) {
+      this.id = id;
+    }
+
+    get _bsontype() {
+      return 'ObjectId';
+    }
+  }
+
+  const id = new ObjectId('$64b7f1c2');
+  const buffer = Buffer.from('$where');
+  const bytes = new Uint8Array([36, 46]);
+  const result = createSanitizer()({ id, buffer, bytes, forged: { _bsontype: 'ObjectId', $where: '1' } });
+
+  assert.strictEqual(result.id, id);
+  assert.strictEqual(result.buffer, buffer);
+  assert.strictEqual(result.bytes, bytes);
+  assert.deepStrictEqual(result.forged, { _bsontype: 'ObjectId', where: '1' });
+});
+
+test('should sanitize registered types with typeHandlers', () => {
+  class Filter {
+    constructor(query) {
+      this.query = query;
+    }
+  }
+
+  const sanitize = createSanitizer({
+    typeHandlers: [
+      { type: Filter, sanitize: (value, { sanitize }) => new Filter(sanitize(value.query, 'query')) },
+      { test: (value) => value instanceof Map && value.has('raw'), sanitize: (value) => value },
+    ],
+  });
+  const raw = new Map([['raw', '$keep']]);
+  const result = sanitize({ filter: new Filter({ name: { $gt: '' } }), raw });
+
+  assert.ok(result.filter instanceof Filter);
+  assert.deepStrictEqual(result.filter.query, { name: { gt: '' } });
+  assert.strictEqual(result.raw, raw);
+  assert.throws(
+    () => createSanitizer({ typeHandlers: [{ sanitize: () => null }] }),
+    /Invalid configuration: typeHandlers/
+  );
+});
+
+test('should mutate values without copying them in inPlace mode', () => {
+  const payload = { user: { $ne: null, name: '$john' }, list: [{ $gt: 1 }, 'ok'] };
+  const { user, list } = payload;
+  const sanitized = createSanitizer({ inPlace: true })(payload);
+
+  assert.strictEqual(sanitized, payload);
+  assert.strictEqual(sanitized.user, user);
+  assert.strictEqual(sanitized.list, list);
+  assert.deepStrictEqual(payload, { user: { ne: null, name: 'john' }, list: [{ gt: 1 }, 'ok'] });
+
+  const copy = { $a: 1 };
+  createSanitizer({ inPlace: true, onViolation: 'report' })(copy);
+  assert.deepStrictEqual(copy, { $a: 1 });
+});
+
+test('should deep clone literals, collections and cycles', () => {
+  const shared = { $a: 1 };
+  const source = { list: [shared, shared], map: new Map([['k', new Set([1])]]), at: new Date(0) };
+  source.self = source;
+  const clone = deepClone(source);
+
+  assert.notStrictEqual(clone, source);
+  assert.deepStrictEqual(clone, source);
+  assert.strictEqual(clone.self, clone);
+  assert.strictEqual(clone.list[0], clone.list[1]);
+  assert.notStrictEqual(clone.list[0], shared);
+  assert.notStrictEqual(clone.map.get('k'), source.map.get('k'));
+  assert.notStrictEqual(clone.at, source.at);
+  assert.strictEqual(deepClone('text'), 'text');
+});
+
+test('should run pipeline steps around the built-in sanitization', () => {
+  const seen = [];
+  const sanitize = createSanitizer({
+    pipeline: [
+      { name: 'raw', phase: 'before', run: (value, { path }) => (seen.push([path, value]), value) },
+      { name: 'clean', run: (value, { path }) => (seen.push([path, value]), value) },
+      { name: 'prefix', phase: 'before', level: 'key', run: (key) => (key === 'id' ? '$id' : key) },
+      { name: 'drop', level: 'key', run: (key) => (key === 'internal' ? undefined : key) },
+      { name: 'count', level: 'node', run: (value) => (Array.isArray(value) ? [...value, value.length] : value) },
+    ],
+  });
+
+  assert.deepStrictEqual(sanitize({ id: 1, name: '$john', internal: 'x', tags: ['$a'] }), {
+    id: 1,
+    name: 'john',
+    tags: ['a', 1],
+  });
+  assert.deepStrictEqual(seen, [
+    ['$id', 1],
+    ['$id', 1],
+    ['name', '$john'],
+    ['name', 'john'],
+    ['tags[0]', '$a'],
+    ['tags[0]', 'a'],
+  ]);
+});
+
+test('should return a promise from a standalone sanitizer with async steps', async () => {
+  const sanitize = createSanitizer({
+    inPlace: true,
+    pipeline: [
+      { name: 'upper', level: 'node', run: async (value) => (typeof value === 'string' ? value.toUpperCase() : value) },
+    ],
+  });
+  const payload = { name: '$john', items: [new Set(['$a'])] };
+  const pending = sanitize(payload);
+
+  assert.ok(pending instanceof Promise);
+  assert.strictEqual(await pending, payload);
+  assert.deepStrictEqual(payload, { name: 'JOHN', items: [new Set(['A'])] });
+  assert.deepStrictEqual(createSanitizer({ pipeline: [{ name: 'sync', run: (value) => value }] })('$a'), 'a');
+});
+
+test('should reject invalid pipelines', () => {
+  const invalid = [
+    {},
+    [{ name: 'a' }],
+    [{ run: () => 1 }],
+    [{ name: 'a', run: () => 1, phase: 'during' }],
+    [{ name: 'a', run: () => 1, level: 'leaf' }],
+    [
+      { name: 'a', run: () => 1 },
+      { name: 'a', run: () => 2 },
+    ],
+  ];
+  for (const pipeline of invalid) {
+    assert.throws(() => createSanitizer({ pipeline }), /Invalid configuration: pipeline/);
+  }
+});
+
+test('should await async type handlers and custom sanitizers', async () => {
+  class Lazy {
+    constructor(value) {
+      this.value = value;
+    }
+  }
+  const sanitize = createSanitizer({
+    typeHandlers: [{ type: Lazy, sanitize: async (lazy, { sanitize }) => sanitize(await lazy.value) }],
+  });
+  assert.deepStrictEqual(await sanitize({ lazy: new Lazy(Promise.resolve({ $a: '$b' })) }), { lazy: { a: 'b' } });
+  // The traversal resumes with the entries and items following an awaited value
+  assert.deepStrictEqual(
+    await sanitize({ first: new Lazy(Promise.resolve('$a')), list: [new Lazy(Promise.resolve('$b')), '$c'], $d: '$e' }),
+    { first: 'a', list: ['b', 'c'], d: 'e' }
+  );
+
+  const custom = createSanitizer({ customSanitizer: async (value) => ({ ...value, checked: true }) });
+  assert.deepStrictEqual(await custom({ $a: 1 }), { $a: 1, checked: true });
+});
+
+test('should match values with the built-in exemptions', () => {
+  const sanitize = (exemption, value) => createSanitizer({ exemptions: [exemption] })({ value }).value;
+  const samples = {
+    email: [['john.doe+news@example.co.uk'], ['john@localhost.x', '$john@example.com']],
+    url: [
+      ['https://example.com/path?q=1#top', 'http://localhost:3000'],
+      ['javascript:alert(1)', 'https://a b.com'],
+    ],
+    uuid: [['123e4567-e89b-12d3-a456-426614174000'], ['{123e4567-e89b-12d3-a456-426614174000}']],
+    isoDate: [
+      ['2024-05-01', '2024-05-01T10:30:00.000Z', '2024-05-01T10:30+02:00'],
+      ['2024-13-45T10:00:00.000Z', '01/05/2024'],
+    ],
+    decimal: [
+      ['3.14', '-0.5', '1e-7', '.5'],
+      ['1.2.3', '$1.00'],
+    ],
+    phone: [
+      ['+1 (555) 123-4567', '+33.1.23.45.67.89', '5551234'],
+      ['+1 555', '+1 555.CALL.NOW'],
+    ],
+    semver: [
+      ['1.2.3', 'v2.0.0-rc.1', '1.0.0+build.5'],
+      ['1.2', '1.2.3.{$where}'],
+    ],
+  };
+
+  for (const [exemption, [valid, invalid]] of Object.entries(samples)) {
+    for (const value of valid) assert.strictEqual(sanitize(exemption, value), value, `${exemption}: ${value}`);
+    for (const value of invalid) assert.notStrictEqual(sanitize(exemption, value), value, `${exemption}: ${value}`);
+  }
+
+  const custom = createSanitizer({ exemptions: [(value) => value.startsWith('ref:')] });
+  assert.deepStrictEqual(custom({ ref: 'ref:a.b', other: 'a.b', 'key@example.com': 1 }), {
+    ref: 'ref:a.b',
+    other: 'ab',
+    'key@examplecom': 1,
+  });
+
+  for (const exemptions of [null, ['ssn'], { '*': 'email' }, [42]]) {
+    assert.throws(() => createSanitizer({ exemptions }), /Invalid configuration/);
+  }
+});
+
+test('should resolve pattern presets and validate named patterns', () => {
+  assert.strictEqual(createSanitizer({ patterns: ['dotNotation'] })('$a.b'), '$ab');
+  assert.strictEqual(createSanitizer({ patterns: [PATTERN_PRESETS.regexMeta] })('a.(b)'), 'ab');
+  assert.deepStrictEqual(
+    createSanitizer({ patterns: [{ name: 'dollar', regex: /\$/g, action: 'remove' }] })({ a: '$x', b: ['$y'], $c: 1 }),
+    { b: ['y'] }
+  );
+  assert.throws(() => createSanitizer({ patterns: ['nope'] }), /Invalid configuration: unknown pattern nope/);
+
+  for (const pattern of [{ name: 'a', regex: 'a' }, { regex: /a/ }, { name: 'a', regex: /a/, action: 'drop' }]) {
+    assert.throws(() => createSanitizer({ patterns: [pattern] }), /Invalid configuration: patterns/);
+  }
+});
+
+test('should let removeKeyMatches and removeValueMatches override removeMatches', () => {
+  const sanitize = createSanitizer({ removeMatches: true, removeKeyMatches: false });
+  assert.deepStrictEqual(sanitize({ $a: 'b', c: '$d', e: 'f' }), { a: 'b', e: 'f' });
+  assert.deepStrictEqual(createSanitizer({ removeValueMatches: true })({ $a: 'b', c: '$d', e: ['$f'] }), {
+    a: 'b',
+    e: [],
+  });
+
+  assert.throws(() => createSanitizer({ removeKeyMatches: 'drop' }), /Invalid configuration: removeKeyMatches/);
+  assert.throws(() => createSanitizer({ removeValueMatches: 1 }), /Invalid configuration: removeValueMatches/);
+});
+
+test('should detect server-side JavaScript constructs', () => {
+  const samples = [
+    ['function () { return true; }', ['function']],
+    ['(a, b) => a', ['arrowFunction']],
+    ["this['pass'] == 1", ['thisReference']],
+    ['for (;;) {}', ['infiniteLoop']],
+    ['emit(key, 1)', ['emit']],
+    ['new Function("return 1")', ['eval']],
+    ['I like this. The function of sleep is rest', []],
+    ['Read this.Then go', []],
+    ['this._id == 1', ['thisReference']],
+    ['this.Password.match(/.*/)', ['thisReference']],
+    ['return this.A == 1', ['thisReference']],
+    ['this . isAdmin', ['thisReference']],
+    ['https://example.com/?a=1&b=2', []],
+  ];
+  for (const [value, constructs] of samples) {
+    assert.deepStrictEqual(detectServerSideJs(value), constructs, value);
+    assert.strictEqual(new RegExp(PATTERN_PRESETS.serverSideJs.regex.source).test(value), constructs.length > 0, value);
+  }
+
+  assert.throws(() => createSanitizer({ serverSideJs: true }), /Invalid configuration: serverSideJs/);
+  assert.throws(() => createSanitizer({ serverSideJs: 'reject' })(['while(1);']), /Server-side JavaScript detected/);
+  assert.throws(
+    () =>
+      createSanitizer({ exemptions: ['url'], serverSideJs: 'reject' })({ u: 'http://a.b/?x=function(){sleep(5000)}' }),
+    /Server-side JavaScript detected at: u/
+  );
+});
+
+test('should apply order-dependent patterns in order', () => {
+  assert.strictEqual(createSanitizer({ patterns: [/\s/g, /\$where/g] })('$ where'), '');
+  assert.strictEqual(createSanitizer({ patterns: [/x/g, /ab/g] })('axb'), '');
+  assert.strictEqual(createSanitizer({ patterns: [/a/g, /b/g], replaceWith: 'bb' })('a'), 'bbbb');
+  assert.strictEqual(createSanitizer({ patterns: [/\$/g, /\./g] })('$a.b'), 'ab');
+});
+
+test('should not skip strings matched after a negated class or an unknown range', () => {
+  assert.strictEqual(createSanitizer({ patterns: [/a[^b]c|d/g] })('d'), '');
+  assert.strictEqual(createSanitizer({ patterns: [/a[\D]c|d/g] })('d'), '');
+  assert.throws(
+    () => createSanitizer({ patterns: ['serverSideJs'] })({ job: 'while (true) {}' }),
+    /Pattern 'serverSideJs' matched at: job/
+  );
+});
+
+test('should give the same results as the original recursive sanitizer on random payloads', () => {
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  const ATOMS = ['a', 'b', 'Z', ' ', '$', '.', '{', '}', '(', '*', '\u0001', '$where', '${x}'];
+  const string = () => Array.from({ length: Math.floor(random() * 4) }, () => pick(ATOMS)).join('');
+  // Emails are only exempt as values, and their keys are no longer kept when matching removeMatches or removeEmpty
+  const generate = (emails, depth = 0) => {
+    const roll = random();
+    if (depth > 3 || roll < 0.3) return emails && random() < 0.1 ? 'jane@example.com' : string();
+    if (roll < 0.4) return pick([null, 0, 1, true, false, new Date(0)]);
+    if (roll < 0.65) return Array.from({ length: Math.floor(random() * 4) }, () => generate(emails, depth + 1));
+    const object = {};
+    for (let i = Math.floor(random() * 4); i > 0; i--) object[string()] = generate(emails, depth + 1);
+    return object;
+  };
+
+  const configurations = [
+    {},
+    { removeMatches: true },
+    { removeEmpty: true },
+    { recursive: false },
+    { replaceWith: '_' },
+    { stringOptions: { trim: true, lowercase: true, maxLength: 3 } },
+    { arrayOptions: { filterNull: true, distinct: true } },
+  ];
+  for (const options of configurations) {
+    const sanitize = createSanitizer(options);
+    const baseline = createBaselineSanitizer(options);
+    for (let i = 0; i < 500; i++) {
+      const payload = generate(!options.removeMatches && !options.removeEmpty);
+      assert.deepStrictEqual(sanitize(payload), baseline(payload), JSON.stringify({ options, payload }));
+    }
+  }
+});
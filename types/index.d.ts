@@ -1,24 +1,102 @@
-import type { FastifyPluginCallback } from 'fastify';
+import type { FastifyPluginCallback, FastifyRequest } from 'fastify';
+
+export type SkipRoute = string | RegExp | { method?: string | string[]; url: string | RegExp };
+
+export interface TypeHandlerContext {
+  path: string;
+  options: FastifyMongoSanitizeOptions;
+  sanitize: <T = any>(value: T, key?: string | number) => T;
+}
+
+export type TypeHandler<T = any> = (
+  | { type: abstract new (...args: any[]) => T; test?: never }
+  | { test: (value: object) => boolean; type?: never }
+) & {
+  sanitize: (value: T, context: TypeHandlerContext) => any;
+};
+
+export interface PipelineStepContext {
+  path: string;
+  key: string | number | null;
+  requestProperty: string | null;
+  request: FastifyRequest | null;
+  options: FastifyMongoSanitizeOptions;
+}
+
+export interface PipelineStep {
+  name: string;
+  phase?: 'before' | 'after';
+  level?: 'key' | 'value' | 'node';
+  /** Returns the new key or value, or undefined to remove it */
+  run: (value: any, context: PipelineStepContext) => any;
+}
+
+export type PatternPresetName =
+  | 'mongoOperators'
+  | 'dotNotation'
+  | 'regexMeta'
+  | 'controlChars'
+  | 'templateInjection'
+  | 'serverSideJs';
+
+export interface NamedPattern {
+  name: string;
+  regex: RegExp;
+  appliesTo?: 'key' | 'value' | 'both';
+  action?: 'strip' | 'remove' | 'reject';
+}
+
+export type MatchPolicy = 'strip' | 'remove' | 'nullify' | 'reject';
+
+export type ExemptionName = 'email' | 'url' | 'uuid' | 'isoDate' | 'decimal' | 'phone' | 'semver';
+
+export type Exemption =
+  | ExemptionName
+  | ((value: string) => boolean)
+  | { name?: string; test: (value: string) => boolean };
 
 export interface FastifyMongoSanitizeOptions {
   replaceWith?: string;
+  strategy?: 'aggressive' | 'operators';
   removeMatches?: boolean;
-  removeKeyMatches?: boolean;
-  removeValueMatches?: boolean;
+  removeKeyMatches?: MatchPolicy | boolean | null;
+  removeValueMatches?: MatchPolicy | boolean | null;
   sanitizeObjects?: string[];
+  allowedHeaders?: readonly string[];
   mode?: 'auto' | 'manual';
-  skipRoutes?: string[];
+  hook?: 'onRequest' | 'preValidation' | 'preHandler';
+  onViolation?: 'sanitize' | 'reject' | 'report';
+  rejectStatusCode?: number;
+  skipRoutes?: SkipRoute[];
+  /** @deprecated Use pipeline instead */
   customSanitizer?: (original: any, options: FastifyMongoSanitizeOptions) => any;
+  pipeline?: PipelineStep[];
+  useRouteSchema?: boolean;
   recursive?: boolean;
+  inPlace?: boolean;
+  preserveOriginal?: boolean;
   removeEmpty?: boolean;
-  patterns?: RegExp[];
+  patterns?: Array<RegExp | PatternPresetName | NamedPattern>;
+  exemptions?: Exemption[] | Record<string, Exemption[]>;
+  allowedOperators?: string[] | Record<string, string[]> | null;
+  prototypePollution?: 'remove' | 'reject' | false;
+  serverSideJs?: 'reject' | 'report' | false;
   allowedKeys?: string[] | null;
   deniedKeys?: string[] | null;
+  typeHandlers?: TypeHandler[];
   stringOptions?: {
     trim?: boolean;
     lowercase?: boolean;
     maxLength?: number | null;
   };
+  limits?: {
+    maxDepth?: number | null;
+    maxKeys?: number | null;
+    maxArrayLength?: number | null;
+    maxStringLength?: number | null;
+    maxTotalNodes?: number | null;
+    action?: 'reject' | 'truncate';
+  };
   arrayOptions?: {
     filterNull?: boolean;
     distinct?: boolean;
@@ -29,23 +107,107 @@ export interface FastifyMongoSanitizeOptions {
     logPatternMatches?: boolean;
     logSanitizedValues?: boolean;
     logSkippedRoutes?: boolean;
+    pretty?: boolean;
   };
 }
 
+export interface SanitizationReportEntry {
+  path: string;
+  target: 'key' | 'value';
+  original: any;
+  sanitized?: any;
+  patterns: number[];
+  /** Names of the matched patterns, present when a pattern matched */
+  patternNames?: string[];
+  action: 'sanitized' | 'removed' | 'truncated' | 'detected';
+  reason:
+    | 'allowedKeys'
+    | 'deniedKeys'
+    | 'removeMatches'
+    | 'removeKeyMatches'
+    | 'removeValueMatches'
+    | 'pattern'
+    | 'removeEmpty'
+    | 'strategy'
+    | 'prototypePollution'
+    | 'serverSideJs'
+    | 'limits'
+    | 'step'
+    | 'schema'
+    | null;
+  /** Name of the pipeline step that made the change */
+  step?: string;
+  /** Server-side JavaScript constructs detected in the value, e.g. 'function' or 'sleep' */
+  constructs?: string[];
+}
+
+export type SanitizationViolation = SanitizationReportEntry;
+
+export interface SanitizeResult<T = any> {
+  value: T;
+  violations: SanitizationViolation[];
+}
+
+export interface SanitizationReport {
+  tampered: boolean;
+  violations: SanitizationViolation[];
+  body?: SanitizationReportEntry[];
+  params?: SanitizationReportEntry[];
+  query?: SanitizationReportEntry[];
+  [requestProperty: string]: SanitizationReportEntry[] | boolean | undefined;
+}
+
 declare class FastifyMongoSanitizeError extends Error {
-  constructor(message: string, type?: string);
+  constructor(message: string, type?: string, details?: { statusCode?: number; violations?: SanitizationViolation[] });
   name: string;
   type: string;
+  statusCode?: number;
+  violations?: SanitizationViolation[];
 }
 
 import 'fastify';
 declare module 'fastify' {
   interface FastifyRequest {
-    sanitize?(options?: FastifyMongoSanitizeOptions): void;
+    /** Returns a promise when an asynchronous pipeline step, type handler or custom sanitizer is involved */
+    sanitize(options?: FastifyMongoSanitizeOptions): void | Promise<void>;
+    sanitize(target: string | string[], options?: FastifyMongoSanitizeOptions): void | Promise<void>;
+    sanitizeValue<T = any>(
+      value: T,
+      options?: FastifyMongoSanitizeOptions
+    ): SanitizeResult<T> | Promise<SanitizeResult<T>>;
+    sanitizationReport: SanitizationReport | null;
+    /** Untouched copies of the sanitized properties, set when preserveOriginal is enabled */
+    originalBody?: unknown;
+    originalQuery?: unknown;
+    originalParams?: unknown;
+    originalHeaders?: unknown;
+    originalCookies?: unknown;
+  }
+
+  interface FastifyInstance {
+    mongoSanitize<T = any>(
+      value: T,
+      options?: FastifyMongoSanitizeOptions
+    ): SanitizeResult<T> | Promise<SanitizeResult<T>>;
+  }
+
+  interface FastifyContextConfig {
+    mongoSanitize?: Omit<FastifyMongoSanitizeOptions, 'skipRoutes' | 'hook'> | false;
   }
 }
 
 declare const fastifyMongoSanitize: FastifyPluginCallback<FastifyMongoSanitizeOptions>;
 
+/** Returns a promise when an asynchronous pipeline step, type handler or customSanitizer is involved */
+export type Sanitizer = <T = any>(value: T) => T | Promise<T>;
+
+export declare function createSanitizer(options?: FastifyMongoSanitizeOptions): Sanitizer;
+
+export declare const ALLOWED_HEADERS: readonly string[];
+
+export declare const PATTERN_PRESETS: Readonly<Record<PatternPresetName, Readonly<Required<NamedPattern>>>>;
+
+export declare const EXEMPTIONS: Readonly<Record<ExemptionName, (value: string) => boolean>>;
+
 export default fastifyMongoSanitize;
 export { FastifyMongoSanitizeError, fastifyMongoSanitize };
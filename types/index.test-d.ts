@@ -1,5 +1,19 @@
 import fastify from 'fastify';
-import mongoSanitize, { FastifyMongoSanitizeOptions } from '../';
+import { expectType } from 'tsd';
+import mongoSanitize, {
+  ALLOWED_HEADERS,
+  EXEMPTIONS,
+  PATTERN_PRESETS,
+  NamedPattern,
+  createSanitizer,
+  Sanitizer,
+  TypeHandler,
+  PipelineStep,
+  FastifyMongoSanitizeOptions,
+  SanitizationReport,
+  SanitizationReportEntry,
+  SanitizeResult,
+} from '../';
 
 const app = fastify();
 app.register(mongoSanitize, {
@@ -11,3 +25,147 @@ app.post('/test', async (req, reply) => {
   req.sanitize?.();
   return req.body;
 });
+
+app.post('/async', async (req) => {
+  expectType<void | Promise<void>>(req.sanitize({ pipeline: [{ name: 'noop', run: async (value) => value }] }));
+  await req.sanitize();
+  return req.body;
+});
+
+app.register(mongoSanitize, {
+  onViolation: 'reject',
+  strategy: 'operators',
+  skipRoutes: ['/users/:id', '/admin/*', /^\/hooks\//, { method: ['GET', 'HEAD'], url: '/health' }],
+  rejectStatusCode: 422,
+  prototypePollution: 'reject',
+  limits: { maxDepth: 32, maxKeys: 1000, maxTotalNodes: 10000, action: 'truncate' },
+  hook: 'preValidation',
+});
+
+app.register(mongoSanitize, { inPlace: true, preserveOriginal: true });
+
+app.register(mongoSanitize, { useRouteSchema: true, hook: 'preValidation' });
+
+app.register(mongoSanitize, {
+  exemptions: {
+    '*': ['email', 'uuid'],
+    'profile.website': ['url', (value) => value.startsWith('ftp://')],
+    'items[].sku': [{ name: 'sku', test: (value) => EXEMPTIONS.semver(value) }],
+  },
+});
+app.register(mongoSanitize, { exemptions: [] });
+
+app.register(mongoSanitize, { removeKeyMatches: 'remove', removeValueMatches: 'nullify' });
+app.register(mongoSanitize, { serverSideJs: 'report', onViolation: 'reject' });
+app.register(mongoSanitize, { removeMatches: true, removeKeyMatches: false, removeValueMatches: 'reject' });
+
+const noHtml: NamedPattern = { name: 'html', regex: /<[^>]*>/g, appliesTo: 'value' };
+app.register(mongoSanitize, {
+  patterns: [
+    'mongoOperators',
+    'controlChars',
+    noHtml,
+    /\$where/g,
+    { ...PATTERN_PRESETS.dotNotation, action: 'remove' },
+  ],
+});
+expectType<RegExp>(PATTERN_PRESETS.serverSideJs.regex);
+
+app.post('/audit', async (req) => {
+  expectType<unknown>(req.originalBody);
+  expectType<unknown>(req.originalQuery);
+  return req.originalHeaders;
+});
+
+const tenantStep: PipelineStep = {
+  name: 'tenant',
+  phase: 'before',
+  level: 'value',
+  run: async (value, { path, key, requestProperty, request, options }) => {
+    expectType<string>(path);
+    expectType<string | number | null>(key);
+    expectType<string | null>(requestProperty);
+    expectType<string | undefined>(request?.id);
+    expectType<FastifyMongoSanitizeOptions>(options);
+    return value;
+  },
+};
+
+app.register(mongoSanitize, {
+  pipeline: [tenantStep, { name: 'lowercase', level: 'key', run: (key: string) => key.toLowerCase() }],
+});
+
+app.post('/targets', async (req) => {
+  req.sanitize('body');
+  await req.sanitize(['query', 'params'], { replaceWith: '_' });
+  const claims = await req.sanitizeValue({ org: 'acme' });
+  expectType<SanitizeResult<{ org: string }>>(claims);
+  expectType<string>(claims.value.org);
+  return claims.violations.map((violation) => violation.path);
+});
+
+expectType<SanitizeResult<string> | Promise<SanitizeResult<string>>>(
+  app.mongoSanitize('$a', { strategy: 'operators' })
+);
+
+app.get('/report', async (req) => {
+  expectType<SanitizationReport | null>(req.sanitizationReport);
+  expectType<SanitizationReportEntry[] | undefined>(req.sanitizationReport?.body);
+  expectType<string[] | undefined>(req.sanitizationReport?.violations[0]?.constructs);
+  return req.sanitizationReport?.violations.map((violation) => violation.path);
+});
+
+app.get(
+  '/search',
+  { config: { mongoSanitize: { allowedOperators: { price: ['$gte', '$lte'] } } } },
+  async (req) => req.query
+);
+
+app.post('/raw', { config: { mongoSanitize: false } }, async (req) => req.body);
+
+app.post(
+  '/strict',
+  { config: { mongoSanitize: { onViolation: 'reject', mode: 'manual', stringOptions: { trim: true } } } },
+  async (req) => {
+    req.sanitize();
+    return req.body;
+  }
+);
+
+const sanitize = createSanitizer({ strategy: 'operators', onViolation: 'reject' });
+expectType<Sanitizer>(sanitize);
+expectType<{ filter: { name: string } } | Promise<{ filter: { name: string } }>>(
+  sanitize({ filter: { name: 'john' } })
+);
+expectType<string[]>(await createSanitizer({ pipeline: [{ name: 'noop', run: async (value) => value }] })(['a']));
+
+class Money {
+  constructor(public amount: string) {}
+}
+
+createSanitizer({
+  typeHandlers: [
+    {
+      type: Money,
+      sanitize: (value, { sanitize, path }) => {
+        expectType<string>(path);
+        return new Money(sanitize(value.amount, 'amount'));
+      },
+    },
+    { test: (value) => value instanceof Map, sanitize: (value) => value },
+  ],
+});
+
+const handler: TypeHandler<Money> = {
+  type: Money,
+  sanitize: (value) => {
+    expectType<Money>(value);
+    return value;
+  },
+};
+createSanitizer({ typeHandlers: [handler] });
+
+app.register(mongoSanitize, {
+  sanitizeObjects: ['body', 'query', 'headers', 'cookies'],
+  allowedHeaders: [...ALLOWED_HEADERS, 'x-signature'],
+});